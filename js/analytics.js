@@ -0,0 +1,317 @@
+/* =========================================================
+   analytics.js
+   Privacy-respecting interaction analytics
+   =========================================================
+   Author:   Valdez Campos (dez@mediabrilliance.io)
+   Studio:   mediaBrilliance designxtudio
+   Date:     2026-01-17
+   Version:  1.0
+
+   Description:
+   ------------
+   Records a few named interaction events from the other
+   modules (via the app.js bus), batches them, and sends
+   each batch with navigator.sendBeacon. No cookies, no ids,
+   no fingerprinting: a batch is a list of { name, page, data,
+   time } events. The page is the path when the event was
+   recorded, so a batch that spans a swap navigation
+   (page-transition.js) still attributes each event correctly.
+
+   Recorded events:
+   - slider:change      Which project the slider moved to
+   - slider:dragend     How far a drag went
+   - modal:open         Which dialog (or the lightbox) opened
+   - transition:navigate  Internal navigation via navigateTo()
+   - transition:cancel    A navigation abandoned mid-transition
+                          (the visitor left before it finished,
+                          another click, Escape, a timeout)
+
+   Features:
+   - Nothing is recorded when Do Not Track or Global Privacy
+     Control is on
+   - Batches flush at BATCH_SIZE events, every FLUSH_INTERVAL,
+     and when the page is hidden or unloaded
+   - "console" transport logs batches instead of sending them
+   - Public API: window.Analytics.track(name, data), flush(),
+     configure(options), isEnabled()
+   - Registers as the "analytics" module with app.js
+
+   Configuration:
+   <meta name="analytics-endpoint" content="/collect" />
+   <meta name="analytics-endpoint" content="console" />   (local testing)
+   or Analytics.configure({ endpoint: '/collect' })
+   Without an endpoint, events are dropped.
+
+   Dependencies:
+   - app.js (window.App) event bus for the recorded events
+   ========================================================= */
+
+(function () {
+  'use strict';
+
+  /* ---------------------------------------------------------
+     CONFIGURATION & STATE
+     --------------------------------------------------------- */
+
+  // Send once this many events are waiting
+  var BATCH_SIZE = 10;
+
+  // ...or after this long (ms), whichever comes first
+  var FLUSH_INTERVAL = 10000;
+
+  // Endpoint URL, or 'console' to log batches
+  var endpointMeta = document.querySelector('meta[name="analytics-endpoint"]');
+  var endpoint = endpointMeta ? endpointMeta.getAttribute('content') : '';
+
+  // Events waiting to be sent
+  var queue = [];
+
+  // Pending flush timeout
+  var flushTimer = null;
+
+  // Bus and window listeners bound
+  var bound = false;
+
+
+  /* ---------------------------------------------------------
+     CONSENT
+     ---------------------------------------------------------
+     Do Not Track has several historical spellings; Global
+     Privacy Control is a boolean. Either one opts out.
+     --------------------------------------------------------- */
+  function isEnabled() {
+    var dnt = navigator.doNotTrack || window.doNotTrack || navigator.msDoNotTrack;
+
+    if (dnt === '1' || dnt === 'yes') return false;
+    if (navigator.globalPrivacyControl === true) return false;
+
+    return !!endpoint;
+  }
+
+
+  /* ---------------------------------------------------------
+     QUEUE & TRANSPORT
+     --------------------------------------------------------- */
+
+  /**
+   * Record an event
+   *
+   * @param {string} name - Event name (e.g. 'slider:change')
+   * @param {Object} [data] - Plain, JSON-safe values only
+   */
+  function track(name, data) {
+    if (!isEnabled()) return;
+
+    queue.push({
+      name: name,
+      page: window.location.pathname,
+      data: data || {},
+      time: Math.round(window.performance && performance.now ? performance.now() : 0)
+    });
+
+    if (queue.length >= BATCH_SIZE) {
+      flush();
+    } else if (!flushTimer) {
+      flushTimer = setTimeout(flush, FLUSH_INTERVAL);
+    }
+  }
+
+  /**
+   * Send every waiting event as one batch
+   */
+  function flush() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+
+    if (!queue.length) return;
+
+    var batch = {
+      events: queue
+    };
+    queue = [];
+
+    if (endpoint === 'console') {
+      console.log('[analytics]', batch);
+      return;
+    }
+
+    var body = JSON.stringify(batch);
+
+    // sendBeacon survives page unloads; fetch keepalive is the fallback
+    if (navigator.sendBeacon &&
+        navigator.sendBeacon(endpoint, new Blob([body], { type: 'application/json' }))) {
+      return;
+    }
+
+    if (window.fetch) {
+      fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: body,
+        keepalive: true
+      }).catch(function () {
+        // Analytics must never surface errors to the visitor
+      });
+    }
+  }
+
+  /**
+   * Change settings
+   *
+   * @param {Object} options - { endpoint }
+   */
+  function configure(options) {
+    if (options && typeof options.endpoint === 'string') {
+      flush();
+      endpoint = options.endpoint;
+    }
+  }
+
+
+  /* ---------------------------------------------------------
+     RECORDED EVENTS
+     ---------------------------------------------------------
+     Bus details carry elements and instances; only plain
+     values that describe the interaction are kept.
+     --------------------------------------------------------- */
+
+  /**
+   * Path of the project a slider card links to
+   *
+   * @param {Object} slider - Slider instance
+   * @param {number} index - Card index
+   * @returns {string|null}
+   */
+  function cardPath(slider, index) {
+    var card = slider && slider.cards ? slider.cards[index] : null;
+    var link = card ? card.querySelector('a[href]') : null;
+
+    return link ? link.pathname : null;
+  }
+
+  /**
+   * Name a slider by its id or URL parameter
+   *
+   * @param {Object} slider - Slider instance
+   * @returns {string|null}
+   */
+  function sliderName(slider) {
+    var container = slider ? slider.container : null;
+    if (!container) return null;
+
+    return container.id || container.getAttribute('data-slider-param') || null;
+  }
+
+  function onSliderChange(detail) {
+    track('slider:change', {
+      slider: sliderName(detail.slider),
+      index: detail.index,
+      previousIndex: detail.previousIndex,
+      project: cardPath(detail.slider, detail.index)
+    });
+  }
+
+  function onSliderDragEnd(detail) {
+    track('slider:dragend', {
+      slider: sliderName(detail.slider),
+      distance: Math.round(detail.distance),
+      index: detail.index
+    });
+  }
+
+  function onModalOpen(detail) {
+    track('modal:open', { id: detail.id });
+  }
+
+  function onNavigate(detail) {
+    var to = document.createElement('a');
+    to.href = detail.url;
+
+    track('transition:navigate', {
+      from: window.location.pathname,
+      to: to.pathname
+    });
+  }
+
+  function onCancel(detail) {
+    var to = document.createElement('a');
+    to.href = detail.url || '';
+
+    track('transition:cancel', {
+      from: window.location.pathname,
+      to: detail.url ? to.pathname : null,
+      reason: detail.reason
+    });
+
+    // A bail-out often comes as the page unloads, after
+    // the pagehide flush: send it now
+    flush();
+  }
+
+  // Hidden tabs may never come back: send what we have
+  function onVisibilityChange() {
+    if (document.visibilityState === 'hidden') flush();
+  }
+
+
+  /* ---------------------------------------------------------
+     INITIALIZATION
+     ---------------------------------------------------------
+     Registers as the "analytics" module with app.js. All
+     listeners are page-wide, so init() binds them once.
+     --------------------------------------------------------- */
+  var BUS_EVENTS = {
+    'slider:change': onSliderChange,
+    'slider:dragend': onSliderDragEnd,
+    'modal:open': onModalOpen,
+    'transition:navigate': onNavigate,
+    'transition:cancel': onCancel
+  };
+
+  var analyticsModule = {
+    init: function () {
+      if (bound) return;
+      bound = true;
+
+      if (window.App) {
+        Object.keys(BUS_EVENTS).forEach(function (type) {
+          window.App.on(type, BUS_EVENTS[type]);
+        });
+      }
+
+      document.addEventListener('visibilitychange', onVisibilityChange);
+      window.addEventListener('pagehide', flush);
+    },
+    destroy: function () {
+      if (window.App) {
+        Object.keys(BUS_EVENTS).forEach(function (type) {
+          window.App.off(type, BUS_EVENTS[type]);
+        });
+      }
+
+      document.removeEventListener('visibilitychange', onVisibilityChange);
+      window.removeEventListener('pagehide', flush);
+
+      flush();
+      bound = false;
+    }
+  };
+
+  // Public API
+  window.Analytics = {
+    track: track,
+    flush: flush,
+    configure: configure,
+    isEnabled: isEnabled
+  };
+
+  if (window.App) {
+    window.App.register('analytics', analyticsModule);
+  } else if (document.readyState === 'loading') {
+    // Wait for DOM if still loading, otherwise init immediately
+    document.addEventListener('DOMContentLoaded', analyticsModule.init);
+  } else {
+    analyticsModule.init();
+  }
+
+})();
@@ -0,0 +1,265 @@
+/* =========================================================
+   app.js
+   Module registry, lifecycle and site-wide event bus
+   =========================================================
+   Author:   Valdez Campos (dez@mediabrilliance.io)
+   Studio:   mediaBrilliance designxtudio
+   Date:     2026-01-17
+   Version:  1.0
+
+   Description:
+   ------------
+   A small shared namespace (window.App) that site scripts
+   register with instead of starting themselves. Every module
+   follows the same contract, so any of them can be started
+   on injected markup, torn down, or checked for.
+
+   Module contract:
+   App.register('name', {
+     init: function (root) {},   // Bind to root (an Element or
+                                 // document); may be called again
+                                 // with new markup, so bind
+                                 // document-wide listeners once
+     destroy: function () {}     // Remove every listener/timer
+   });
+
+   Features:
+   - Modules registered before DOMContentLoaded (every
+     deferred script after app.js) start then, in order;
+     later registrations start immediately
+   - App.init(root) / App.destroy() for all modules, or pass
+     a name to target one
+   - Event bus: App.on(), App.off(), App.emit()
+   - Lifecycle events on the bus: module:init, module:destroy
+     (detail: { name, root }), app:ready
+
+   Usage:
+   App.init(injectedSection);        // Wire up new markup
+   App.destroy('slider');            // Tear one module down
+   App.on('slider:change', fn);      // Listen site-wide
+
+   Dependencies:
+   - None. Must load before the modules that register.
+   ========================================================= */
+
+(function () {
+  'use strict';
+
+  /* ---------------------------------------------------------
+     STATE
+     --------------------------------------------------------- */
+
+  // Registered modules, in registration (= init) order
+  // { name, module, initialized }
+  var entries = [];
+
+  // Event bus listeners: { type: [fn, ...] }
+  var listeners = {};
+
+  // True once the DOM is ready and the first init has run
+  var started = false;
+
+
+  /* ---------------------------------------------------------
+     EVENT BUS
+     ---------------------------------------------------------
+     Plain callbacks, not DOM events, so modules can talk
+     without a shared element. Callbacks get (detail, type).
+     A throwing listener is reported and skipped so it can't
+     break the emitter or the other listeners.
+     --------------------------------------------------------- */
+
+  /**
+   * Listen for a bus event
+   *
+   * @param {string} type - Event name (e.g. 'module:init')
+   * @param {Function} fn - Called with (detail, type)
+   */
+  function on(type, fn) {
+    (listeners[type] = listeners[type] || []).push(fn);
+  }
+
+  /**
+   * Stop listening
+   *
+   * @param {string} type - Event name
+   * @param {Function} fn - The callback passed to on()
+   */
+  function off(type, fn) {
+    var list = listeners[type];
+    if (!list) return;
+
+    var index = list.indexOf(fn);
+    if (index !== -1) list.splice(index, 1);
+  }
+
+  /**
+   * Send a bus event
+   *
+   * @param {string} type - Event name
+   * @param {Object} [detail] - Event data
+   */
+  function emit(type, detail) {
+    // Copy so listeners may unsubscribe while being called
+    var list = (listeners[type] || []).slice();
+
+    list.forEach(function (fn) {
+      try {
+        fn(detail || {}, type);
+      } catch (err) {
+        console.error('[app]', 'Listener for "' + type + '" failed:', err);
+      }
+    });
+  }
+
+
+  /* ---------------------------------------------------------
+     REGISTRY
+     --------------------------------------------------------- */
+
+  /**
+   * Find a registry entry by name
+   *
+   * @param {string} name - Module name
+   * @returns {Object|null}
+   */
+  function find(name) {
+    for (var i = 0; i < entries.length; i++) {
+      if (entries[i].name === name) return entries[i];
+    }
+    return null;
+  }
+
+  /**
+   * Register a module
+   *
+   * @param {string} name - Unique module name
+   * @param {Object} module - { init(root), destroy() }, plus any
+   *   extra API the module wants to share
+   * @returns {Object} The module
+   */
+  function register(name, module) {
+    if (find(name)) {
+      console.error('[app]', 'Module "' + name + '" is already registered.');
+      return find(name).module;
+    }
+
+    var entry = { name: name, module: module, initialized: false };
+    entries.push(entry);
+
+    // Page already running: start the newcomer right away
+    if (started) initEntry(entry, document);
+
+    return module;
+  }
+
+  /**
+   * Initialize one module, reporting failures without
+   * stopping the others
+   *
+   * @param {Object} entry - Registry entry
+   * @param {Element|Document} root - Subtree to bind to
+   */
+  function initEntry(entry, root) {
+    try {
+      if (entry.module.init) entry.module.init(root);
+      entry.initialized = true;
+      emit('module:init', { name: entry.name, root: root });
+    } catch (err) {
+      console.error('[app]', 'Module "' + entry.name + '" failed to init:', err);
+    }
+  }
+
+  /**
+   * Tear one module down
+   *
+   * @param {Object} entry - Registry entry
+   */
+  function destroyEntry(entry) {
+    if (!entry.initialized) return;
+
+    try {
+      if (entry.module.destroy) entry.module.destroy();
+    } catch (err) {
+      console.error('[app]', 'Module "' + entry.name + '" failed to destroy:', err);
+    }
+
+    entry.initialized = false;
+    emit('module:destroy', { name: entry.name });
+  }
+
+  /**
+   * Initialize modules on a root
+   *
+   * @param {Element|Document} [root=document] - Subtree to bind to
+   * @param {string} [name] - Only this module
+   */
+  function init(root, name) {
+    root = root || document;
+
+    entries.forEach(function (entry) {
+      if (!name || entry.name === name) initEntry(entry, root);
+    });
+  }
+
+  /**
+   * Destroy modules (all of them in reverse order, or one)
+   *
+   * @param {string} [name] - Only this module
+   */
+  function destroy(name) {
+    entries.slice().reverse().forEach(function (entry) {
+      if (!name || entry.name === name) destroyEntry(entry);
+    });
+  }
+
+
+  /* ---------------------------------------------------------
+     PUBLIC API
+     --------------------------------------------------------- */
+  window.App = {
+    register: register,
+    init: init,
+    destroy: destroy,
+    get: function (name) {
+      var entry = find(name);
+      return entry ? entry.module : null;
+    },
+    isInitialized: function (name) {
+      var entry = find(name);
+      return !!entry && entry.initialized;
+    },
+    modules: function () {
+      return entries.map(function (entry) { return entry.name; });
+    },
+    on: on,
+    off: off,
+    emit: emit
+  };
+
+
+  /* ---------------------------------------------------------
+     INITIALIZATION
+     ---------------------------------------------------------
+     Start everything registered so far once the DOM is ready.
+     --------------------------------------------------------- */
+  function start() {
+    if (started) return;
+
+    started = true;
+    init(document);
+    emit('app:ready', { modules: window.App.modules() });
+  }
+
+  // Deferred scripts run while readyState is already
+  // 'interactive', and DOMContentLoaded fires once they all
+  // have: wait for it so the modules after app.js register
+  // first. load covers app.js added after DOMContentLoaded.
+  if (document.readyState === 'complete') {
+    start();
+  } else {
+    document.addEventListener('DOMContentLoaded', start);
+    window.addEventListener('load', start);
+  }
+
+})();
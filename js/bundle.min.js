@@ -1 +0,0 @@
-!function(){"use strict";var e=document.getElementById("page-transition"),t=window.matchMedia("(prefers-reduced-motion: reduce)").matches;function n(){!function(){if(e){var t=document.createElement("div");t.className="glitch-lines";for(var n=0;n<20;n++){var i=document.createElement("span");i.style.top=100*Math.random()+"%",i.style.height=3*Math.random()+1+"px",i.style.opacity=.5*Math.random(),t.appendChild(i)}e.appendChild(t)}}(),t||(document.body.classList.add("is-glitching"),setTimeout(function(){e&&e.classList.add("glitch-active")},50),setTimeout(function(){e&&(e.classList.remove("glitch-active"),e.classList.add("glitch-exit")),setTimeout(function(){document.body.classList.remove("is-glitching"),e&&e.classList.remove("glitch-exit")},400)},500))}function i(){document.addEventListener("click",function(n){var i=n.target.closest("a");i&&i.hostname===window.location.hostname&&(i.hasAttribute("download")||"_blank"!==i.getAttribute("target")&&(i.hash&&i.pathname===window.location.pathname||n.ctrlKey||n.metaKey||n.shiftKey||n.altKey||(n.preventDefault(),function(n){if(t)return void(window.location.href=n);document.body.classList.add("is-leaving"),e&&e.classList.add("glitch-active");setTimeout(function(){window.location.href=n},450)}(i.href))))})}function o(){window.addEventListener("popstate",function(){document.body.classList.add("is-glitching"),e&&e.classList.add("glitch-active")})}"loading"===document.readyState?document.addEventListener("DOMContentLoaded",function(){n(),i(),o()}):(n(),i(),o())}(),function(){"use strict";function e(){var e=document.querySelectorAll(".modal.is-active"),t=document.querySelector(".overlay.is-active");e.forEach(function(e){e.classList.remove("is-active")}),t&&t.classList.remove("is-active"),document.body.style.overflow=""}function t(){var t,n;t=document.querySelector(".nav-toggle"),n=document.querySelector(".mobile-menu"),t&&n&&(t.addEventListener("click",function(){var e=n.classList.contains("is-active");n.classList.toggle("is-active"),t.setAttribute("aria-expanded",!e),document.body.style.overflow=e?"":"hidden"}),document.addEventListener("keydown",function(e){"Escape"===e.key&&n.classList.contains("is-active")&&(n.classList.remove("is-active"),t.setAttribute("aria-expanded","false"),document.body.style.overflow="")}),n.addEventListener("click",function(e){e.target.matches("a")&&(n.classList.remove("is-active"),t.setAttribute("aria-expanded","false"),document.body.style.overflow="")})),document.addEventListener("click",function(t){var n=t.target.closest("[data-modal-open]");if(n){var i=n.getAttribute("data-modal-open"),o=document.getElementById(i),a=document.querySelector(".overlay");o&&(o.classList.add("is-active"),a&&a.classList.add("is-active"),document.body.style.overflow="hidden")}else(t.target.closest("[data-modal-close]")||t.target.matches(".overlay"))&&e()}),document.addEventListener("keydown",function(t){"Escape"===t.key&&e()}),document.addEventListener("click",function(e){var t=e.target.closest('a[href^="#"]');if(t){var n=t.getAttribute("href");if("#"!==n){var i=document.querySelector(n);if(i){e.preventDefault();var o=document.querySelector(".site-header")?.offsetHeight||0,a=i.getBoundingClientRect().top+window.scrollY-o;window.scrollTo({top:a,behavior:"smooth"}),history.pushState(null,"",n)}}}})}"loading"===document.readyState?document.addEventListener("DOMContentLoaded",t):t()}(),function(){"use strict";var e=document.querySelector(".slider-track"),t=document.querySelector('[data-slider="prev"]'),n=document.querySelector('[data-slider="next"]');if(e){var i,o=e.querySelectorAll(".project-card"),a=0,s=24,d=0,c=0,r=!1,l=0,u=0,v=0;t&&t.addEventListener("click",g),n&&n.addEventListener("click",h),document.addEventListener("keydown",function(t){var n=e.closest(".portfolio-section");if(n){var i=n.getBoundingClientRect();i.top<window.innerHeight&&i.bottom>0&&("ArrowLeft"===t.key?g():"ArrowRight"===t.key&&h())}}),e.addEventListener("mousedown",y),window.addEventListener("mousemove",L),window.addEventListener("mouseup",p),e.addEventListener("touchstart",y,{passive:!0}),e.addEventListener("touchmove",L,{passive:!1}),e.addEventListener("touchend",p),window.addEventListener("resize",function(){clearTimeout(i),i=setTimeout(m,100)}),"loading"===document.readyState?document.addEventListener("DOMContentLoaded",w):w(),window.addEventListener("load",m)}function m(){if(0!==o.length){var t=o[0],n=getComputedStyle(e);a=t.offsetWidth,s=parseInt(n.gap)||24;var i=e.parentElement.offsetWidth,r=Math.floor(i/(a+s));c=Math.max(0,o.length-r),d>c&&(d=c,f(!1))}}function f(t){void 0===t&&(t=!0),v=-d*(a+s),t?e.classList.remove("is-dragging"):e.classList.add("is-dragging"),e.style.transform="translateX("+v+"px)"}function g(){d>0&&(d--,f())}function h(){d<c&&(d++,f())}function y(t){r=!0,l="mousedown"===t.type?t.pageX:t.touches[0].pageX,u=l,e.classList.add("is-dragging")}function L(t){if(r){t.preventDefault();var n="mousemove"===t.type?t.pageX:t.touches[0].pageX,i=n-l;e.style.transform="translateX("+(v+i)+"px)",u=n}}function p(t){if(r){r=!1,e.classList.remove("is-dragging");var n=u-l,i=a/4;if(n>i&&d>0?d--:n<-i&&d<c&&d++,f(),Math.abs(n)>10){var o=function(t){t.preventDefault(),t.stopPropagation(),e.removeEventListener("click",o,!0)};e.addEventListener("click",o,!0)}}}function w(){m()}}();
\ No newline at end of file
@@ -0,0 +1,371 @@
+/* =========================================================
+   catalog.js
+   Data-driven project catalog from a JSON manifest
+   =========================================================
+   Author:   Valdez Campos (dez@mediabrilliance.io)
+   Studio:   mediaBrilliance designxtudio
+   Date:     2026-01-17
+   Version:  1.0
+
+   Description:
+   ------------
+   Loads the project manifest (projects.json) and renders it
+   into the page, so a new project only needs one manifest
+   entry instead of hand-copied card markup and metadata.
+
+   Features:
+   - Renders .project-card elements into a .slider-track
+   - Fills the <dl class="project-meta"> block on project pages
+   - Hands off to slider.js once the cards exist (a slider
+     already running on the static cards is rebuilt)
+   - Validates entries; malformed ones are reported in the
+     console and skipped instead of breaking the page
+   - Static markup stays as the fallback if the fetch fails
+
+   Manifest entry:
+   {
+     "slug": "void-protocol",         -> /projects/void-protocol.html
+     "title": "Void Protocol",
+     "category": "UI/UX",
+     "year": 2024,
+     "role": "Product Designer",
+     "thumbnail": "https://...",      -> card image
+     "hero": "https://..."            -> optional, project page hero
+   }                                     (not rendered: the pages
+                                          carry their own hero)
+
+   Usage:
+   - <div class="slider-track" data-catalog="/projects.json">
+     (container should carry data-slider-defer so slider.js
+     waits for the rendered cards)
+   - <dl class="project-meta" data-catalog="/projects.json">
+
+   Dependencies:
+   - slider.js (window.Slider) for the card hand-off
+   - Optional app.js (window.App) module registry
+   ========================================================= */
+
+(function () {
+  'use strict';
+
+  /* ---------------------------------------------------------
+     CONFIGURATION
+     --------------------------------------------------------- */
+
+  // Required string fields, optional ones (checked only when
+  // present) and the pattern a slug must match
+  var REQUIRED_FIELDS = ['slug', 'title', 'category', 'year', 'role', 'thumbnail'];
+  var OPTIONAL_FIELDS = ['hero'];
+  var SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+  // Prefix for console output so catalog messages are easy to find
+  var LOG_PREFIX = '[catalog]';
+
+  // One request per manifest URL, shared by every target on the page
+  var requests = {};
+
+
+  /* ---------------------------------------------------------
+     MANIFEST LOADING
+     ---------------------------------------------------------
+     Fetches and validates the manifest. Always resolves: a
+     failed request or unusable file resolves to null so the
+     caller can keep the static fallback markup.
+     --------------------------------------------------------- */
+
+  /**
+   * Load a manifest (cached per URL)
+   *
+   * @param {string} url - Manifest URL
+   * @returns {Promise<Object[]|null>} Valid entries, or null on failure
+   */
+  function loadCatalog(url) {
+    if (!requests[url]) {
+      requests[url] = fetch(url)
+        .then(function (response) {
+          if (!response.ok) throw new Error('HTTP ' + response.status);
+          return response.json();
+        })
+        .then(function (data) {
+          return validateCatalog(data, url);
+        })
+        .catch(function (err) {
+          console.error(LOG_PREFIX, 'Could not load ' + url + ':', err.message || err);
+          return null;
+        });
+    }
+
+    return requests[url];
+  }
+
+  /**
+   * Keep only well-formed entries, reporting the rest
+   *
+   * @param {*} data - Parsed manifest
+   * @param {string} url - Manifest URL (for messages)
+   * @returns {Object[]|null} Valid entries, or null if unusable
+   */
+  function validateCatalog(data, url) {
+    if (!Array.isArray(data)) {
+      console.error(LOG_PREFIX, url + ' must contain an array of projects.');
+      return null;
+    }
+
+    var seen = {};
+
+    return data.filter(function (entry, i) {
+      var problem = validateEntry(entry);
+
+      if (!problem && seen[entry.slug]) {
+        problem = 'duplicate slug "' + entry.slug + '"';
+      }
+
+      if (problem) {
+        var name = entry && typeof entry.slug === 'string' ? ' ("' + entry.slug + '")' : '';
+        console.error(LOG_PREFIX, 'Skipping entry ' + i + name + ' in ' + url + ': ' + problem + '.', entry);
+        return false;
+      }
+
+      seen[entry.slug] = true;
+      return true;
+    });
+  }
+
+  /**
+   * Check a single entry
+   *
+   * @param {*} entry - Manifest entry
+   * @returns {string} Description of the first problem, or "" if valid
+   */
+  function validateEntry(entry) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      return 'not an object';
+    }
+
+    for (var i = 0; i < REQUIRED_FIELDS.length; i++) {
+      var field = REQUIRED_FIELDS[i];
+      var value = entry[field];
+
+      // Year may be a number or a string; everything else is text
+      var ok = field === 'year'
+        ? (typeof value === 'number' || typeof value === 'string') && String(value).trim() !== ''
+        : typeof value === 'string' && value.trim() !== '';
+
+      if (!ok) return 'missing or empty "' + field + '"';
+    }
+
+    for (var j = 0; j < OPTIONAL_FIELDS.length; j++) {
+      var optional = entry[OPTIONAL_FIELDS[j]];
+
+      if (optional !== undefined && typeof optional !== 'string') {
+        return '"' + OPTIONAL_FIELDS[j] + '" must be text';
+      }
+    }
+
+    if (!SLUG_PATTERN.test(entry.slug)) {
+      return 'slug "' + entry.slug + '" must be lowercase letters, numbers and dashes';
+    }
+
+    return '';
+  }
+
+
+  /* ---------------------------------------------------------
+     CARD RENDERING
+     ---------------------------------------------------------
+     Builds the same markup index.html used to hand-write.
+     DOM methods (not innerHTML) so manifest text can never
+     inject markup.
+     --------------------------------------------------------- */
+
+  /**
+   * Create an element with a class name and optional text
+   *
+   * @param {string} tag - Tag name
+   * @param {string} [className] - Class attribute
+   * @param {string} [text] - Text content
+   * @returns {HTMLElement}
+   */
+  function el(tag, className, text) {
+    var node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  /**
+   * Build one .project-card
+   *
+   * @param {Object} project - Manifest entry
+   * @returns {HTMLElement}
+   */
+  function createCard(project) {
+    var card = el('article', 'project-card');
+    var link = el('a');
+    var media = el('div', 'project-card-image');
+    var img = el('img');
+    var content = el('div', 'project-card-content');
+
+    card.setAttribute('data-slug', project.slug);
+    link.href = '/projects/' + project.slug + '.html';
+
+    img.src = project.thumbnail;
+    img.alt = project.title + ' project';
+    img.loading = 'lazy';
+    img.width = 700;
+    img.height = 438;
+
+    media.appendChild(img);
+    content.appendChild(el('span', 'project-card-category', project.category));
+    content.appendChild(el('h3', 'project-card-title', project.title));
+    link.appendChild(media);
+    link.appendChild(content);
+    card.appendChild(link);
+
+    return card;
+  }
+
+  /**
+   * Replace a track's cards with the catalog
+   *
+   * @param {Element} track - The .slider-track
+   * @param {Object[]} projects - Valid manifest entries
+   */
+  function renderCards(track, projects) {
+    var fragment = document.createDocumentFragment();
+
+    projects.forEach(function (project) {
+      fragment.appendChild(createCard(project));
+    });
+
+    track.innerHTML = '';
+    track.appendChild(fragment);
+  }
+
+  /**
+   * Render the cards and start the slider for a track's container
+   * Runs whether or not the manifest is usable, so the static
+   * fallback cards still get a working slider
+   *
+   * @param {Element} track - The .slider-track
+   * @param {Object[]|null} projects - Valid manifest entries
+   */
+  function handOff(track, projects) {
+    var container = track.closest('.slider-container');
+    var slider = container && window.Slider ? window.Slider.get(container) : null;
+    var render = !!(projects && projects.length);
+
+    // Already running on the cards it would get
+    if (slider && !render) return;
+
+    // Running on the static cards (no defer attribute, or the
+    // data-slider-defer fallback): its clones, chips and filter
+    // belong to those cards, so tear it down before they go
+    if (slider) slider.destroy();
+
+    if (render) renderCards(track, projects);
+    if (container && window.Slider) new window.Slider(container);
+  }
+
+
+  /* ---------------------------------------------------------
+     PROJECT META
+     ---------------------------------------------------------
+     Fills <dl class="project-meta"> from the entry matching
+     the page's file name (/projects/void-protocol.html).
+     --------------------------------------------------------- */
+
+  /**
+   * Get the project slug for the current page
+   *
+   * @returns {string}
+   */
+  function pageSlug() {
+    return window.location.pathname.split('/').pop().replace(/\.html?$/, '');
+  }
+
+  /**
+   * Rebuild a project-meta list
+   *
+   * @param {Element} list - The <dl class="project-meta">
+   * @param {Object} project - Manifest entry
+   */
+  function renderMeta(list, project) {
+    var rows = [
+      ['Category', project.category],
+      ['Year', String(project.year)],
+      ['Role', project.role]
+    ];
+
+    list.innerHTML = '';
+
+    rows.forEach(function (row) {
+      var group = el('div');
+      group.appendChild(el('dt', '', row[0]));
+      group.appendChild(el('dd', '', row[1]));
+      list.appendChild(group);
+    });
+  }
+
+  /**
+   * Find a project by slug
+   *
+   * @param {Object[]} projects - Valid manifest entries
+   * @param {string} slug - Slug to look for
+   * @returns {Object|null}
+   */
+  function findProject(projects, slug) {
+    for (var i = 0; i < projects.length; i++) {
+      if (projects[i].slug === slug) return projects[i];
+    }
+    return null;
+  }
+
+
+  /* ---------------------------------------------------------
+     INITIALIZATION
+     ---------------------------------------------------------
+     Every [data-catalog] element names its manifest. Tracks
+     get cards, project-meta lists get metadata; anything else
+     is ignored. Registers as the "catalog" module with app.js
+     (no listeners, so nothing to destroy).
+     --------------------------------------------------------- */
+  function init(root) {
+    var targets = (root || document).querySelectorAll('[data-catalog]');
+
+    Array.prototype.forEach.call(targets, function (target) {
+      var url = target.getAttribute('data-catalog');
+
+      loadCatalog(url).then(function (projects) {
+        if (target.classList.contains('slider-track')) {
+          // Keeps the fallback cards if the manifest is unusable
+          handOff(target, projects);
+        } else if (target.classList.contains('project-meta') && projects) {
+          var project = findProject(projects, pageSlug());
+
+          if (project) {
+            renderMeta(target, project);
+          } else {
+            console.warn(LOG_PREFIX, 'No entry for "' + pageSlug() + '" in ' + url + '.');
+          }
+        }
+
+        document.dispatchEvent(new CustomEvent('catalog:ready', {
+          detail: { url: url, projects: projects || [] }
+        }));
+      });
+    });
+  }
+
+  if (window.App) {
+    window.App.register('catalog', { init: init });
+  } else if (document.readyState === 'loading') {
+    // Wait for DOM if still loading, otherwise init immediately
+    document.addEventListener('DOMContentLoaded', function () {
+      init(document);
+    });
+  } else {
+    init(document);
+  }
+
+})();
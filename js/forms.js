@@ -0,0 +1,611 @@
+/* =========================================================
+   forms.js
+   Declarative form validation and fetch submission
+   =========================================================
+   Author:   Valdez Campos (dez@mediabrilliance.io)
+   Studio:   mediaBrilliance designxtudio
+   Date:     2026-01-17
+   Version:  1.0
+
+   Description:
+   ------------
+   Drives any <form data-form>: validates fields from data
+   attributes, shows inline errors linked with ARIA, sends
+   the form as JSON with fetch, and keeps submissions made
+   while offline in localStorage until they can be sent.
+
+   Features:
+   - Validation rules as data attributes (see below)
+   - Errors in .form-error elements tied to their field with
+     aria-describedby/aria-invalid, .is-invalid/.is-valid
+     classes from style.css (13)
+   - Fields are checked on blur, then live once invalid;
+     submit checks everything and focuses the first problem
+   - Polite status line for sending/sent/queued/failed/unreachable
+   - Offline (navigator.onLine false): queued, retried on load,
+     when the browser comes back online, and after the next
+     successful send. A request that fails while the browser
+     is online (CORS, DNS, server down) is reported, not queued
+   - Inside a .modal: closes the dialog after a successful send
+   - form:submit, form:queued and form:error events (bubbling
+     from the form, mirrored on the app.js bus)
+   - Registers as the "forms" module with app.js
+
+   Form attributes:
+   - data-form                      Enable this module
+   - data-form-endpoint="/api/..."  Where to POST (falls back to
+                                    the action attribute)
+
+   Field attributes:
+   - data-required                  Must have a value (checkbox: checked)
+   - data-type="email|url|tel"      Format check
+   - data-minlength="10"            Minimum characters
+   - data-maxlength="2000"          Maximum characters
+   - data-pattern="^[A-Z]"          Regular expression to match
+   - data-match="email"             Must equal the field with this name
+   - data-message-<rule>="..."      Custom message for a rule
+                                    (e.g. data-message-required)
+
+   Dependencies:
+   - Optional utils.js (window.Modals) to close a parent modal
+   - Optional app.js (window.App) module registry
+   ========================================================= */
+
+(function () {
+  'use strict';
+
+  /* ---------------------------------------------------------
+     CONFIGURATION
+     --------------------------------------------------------- */
+
+  // localStorage key for submissions waiting to be sent
+  var QUEUE_KEY = 'forms:queue';
+
+  // Time the success message stays visible before a modal closes
+  var MODAL_CLOSE_DELAY = 2000;
+
+  // Default error messages; {n} is replaced by the rule's value
+  var MESSAGES = {
+    required: 'This field is required.',
+    email: 'Enter a valid email address.',
+    url: 'Enter a full URL, including https://.',
+    tel: 'Enter a valid phone number.',
+    minlength: 'Use at least {n} characters.',
+    maxlength: 'Use no more than {n} characters.',
+    pattern: 'This doesn\'t look right.',
+    match: 'This doesn\'t match.'
+  };
+
+  // Format checks for data-type (intentionally lenient)
+  var TYPES = {
+    email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    url: /^https?:\/\/[^\s.]+\.\S+$/i,
+    tel: /^\+?[0-9\s().-]{6,}$/
+  };
+
+  // Status line text
+  var STATUS = {
+    sending: 'Sending…',
+    sent: 'Thanks! Your message has been sent.',
+    queued: 'You\'re offline. Your message is saved and will be sent when you\'re back online.',
+    failed: 'Something went wrong. Please try again.',
+    unreachable: 'We couldn\'t reach the server. Please try again in a moment.'
+  };
+
+  // Forms already set up: { form, handlers }
+  var forms = [];
+
+  // Window listeners (bound while any form exists)
+  var onlineBound = false;
+
+  // True while the queue is being sent
+  var flushing = false;
+
+  // Counter for generated field ids (error message targets)
+  var uid = 0;
+
+
+  /* ---------------------------------------------------------
+     VALIDATION
+     ---------------------------------------------------------
+     Each rule returns true when the value passes. Empty
+     optional fields skip every rule except data-required.
+     --------------------------------------------------------- */
+
+  /**
+   * Get a field's value for validation
+   *
+   * @param {Element} field - Input, select or textarea
+   * @returns {string}
+   */
+  function fieldValue(field) {
+    if (field.type === 'checkbox' || field.type === 'radio') {
+      return field.checked ? field.value || 'on' : '';
+    }
+    return field.value.trim();
+  }
+
+  /**
+   * Build the message for a failed rule
+   *
+   * @param {Element} field - The field
+   * @param {string} rule - Rule name (or data-type value)
+   * @param {string} [value] - Rule value for {n}
+   * @returns {string}
+   */
+  function message(field, rule, value) {
+    var custom = field.getAttribute('data-message-' + rule);
+    return (custom || MESSAGES[rule] || MESSAGES.pattern).replace('{n}', value);
+  }
+
+  /**
+   * Check a field against its rules
+   *
+   * @param {Element} field - The field
+   * @returns {string} Error message, or "" if valid
+   */
+  function validateField(field) {
+    var value = fieldValue(field);
+
+    if (field.hasAttribute('data-required') && !value) {
+      return message(field, 'required');
+    }
+
+    // Optional and empty: nothing else to check
+    if (!value) return '';
+
+    var type = field.getAttribute('data-type');
+    if (type && TYPES[type] && !TYPES[type].test(value)) {
+      return message(field, type);
+    }
+
+    var min = parseInt(field.getAttribute('data-minlength'), 10);
+    if (min && value.length < min) return message(field, 'minlength', min);
+
+    var max = parseInt(field.getAttribute('data-maxlength'), 10);
+    if (max && value.length > max) return message(field, 'maxlength', max);
+
+    var pattern = field.getAttribute('data-pattern');
+    if (pattern) {
+      try {
+        if (!new RegExp(pattern).test(value)) return message(field, 'pattern');
+      } catch (err) {
+        console.error('[forms]', 'Invalid data-pattern on "' + field.name + '":', pattern);
+      }
+    }
+
+    var match = field.getAttribute('data-match');
+    if (match) {
+      var other = field.form.elements[match];
+      if (other && fieldValue(other) !== value) return message(field, 'match');
+    }
+
+    return '';
+  }
+
+  /**
+   * Get (or create) the error element for a field
+   * Placed at the end of the field's .form-group
+   *
+   * @param {Element} field - The field
+   * @returns {Element}
+   */
+  function errorElement(field) {
+    if (!field.id) field.id = 'form-field-' + (++uid);
+
+    var id = field.id + '-error';
+    var error = document.getElementById(id);
+
+    if (!error) {
+      error = document.createElement('p');
+      error.className = 'form-error';
+      error.id = id;
+      error.hidden = true;
+      (field.closest('.form-group') || field.parentNode).appendChild(error);
+    }
+
+    return error;
+  }
+
+  /**
+   * Show or clear a field's error
+   *
+   * @param {Element} field - The field
+   * @param {string} text - Error message ("" clears)
+   */
+  function showError(field, text) {
+    var error = errorElement(field);
+    var described = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(function (id) {
+      return id && id !== error.id;
+    });
+
+    error.textContent = text;
+    error.hidden = !text;
+
+    if (text) {
+      described.push(error.id);
+      field.setAttribute('aria-invalid', 'true');
+    } else {
+      field.removeAttribute('aria-invalid');
+    }
+
+    if (described.length) {
+      field.setAttribute('aria-describedby', described.join(' '));
+    } else {
+      field.removeAttribute('aria-describedby');
+    }
+
+    field.classList.toggle('is-invalid', !!text);
+    field.classList.toggle('is-valid', !text && !!fieldValue(field));
+  }
+
+  /**
+   * Fields of a form that carry validation rules
+   *
+   * @param {HTMLFormElement} form - The form
+   * @returns {Element[]}
+   */
+  function ruledFields(form) {
+    return Array.prototype.filter.call(form.elements, function (field) {
+      return field.name && !field.disabled &&
+        field.matches('[data-required], [data-type], [data-minlength], [data-maxlength], [data-pattern], [data-match]');
+    });
+  }
+
+  /**
+   * Validate every field, focusing the first invalid one
+   *
+   * @param {HTMLFormElement} form - The form
+   * @returns {boolean} Whether the form is valid
+   */
+  function validateForm(form) {
+    var firstInvalid = null;
+
+    ruledFields(form).forEach(function (field) {
+      var text = validateField(field);
+
+      field.setAttribute('data-touched', '');
+      showError(field, text);
+      if (text && !firstInvalid) firstInvalid = field;
+    });
+
+    if (firstInvalid) firstInvalid.focus();
+    return !firstInvalid;
+  }
+
+
+  /* ---------------------------------------------------------
+     SUBMISSION
+     --------------------------------------------------------- */
+
+  /**
+   * Collect a form's values as a plain object
+   * Repeated names (checkbox groups) become arrays
+   *
+   * @param {HTMLFormElement} form - The form
+   * @returns {Object}
+   */
+  function formData(form) {
+    var data = {};
+
+    new FormData(form).forEach(function (value, name) {
+      if (!data.hasOwnProperty(name)) {
+        data[name] = value;
+      } else if (Array.isArray(data[name])) {
+        data[name].push(value);
+      } else {
+        data[name] = [data[name], value];
+      }
+    });
+
+    return data;
+  }
+
+  /**
+   * POST a submission as JSON
+   * Rejects with err.offline = true when the browser is
+   * offline, so the caller knows to queue it, and with
+   * err.network = true when the request failed anyway
+   *
+   * @param {Object} submission - { endpoint, data }
+   * @returns {Promise<Response>}
+   */
+  function send(submission) {
+    if (navigator.onLine === false) {
+      var offline = new Error('Offline');
+      offline.offline = true;
+      return Promise.reject(offline);
+    }
+
+    return fetch(submission.endpoint, {
+      method: 'POST',
+      headers: {
+        'Accept': 'application/json',
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(submission.data)
+    }).then(function (response) {
+      if (!response.ok) {
+        var err = new Error('HTTP ' + response.status);
+        err.status = response.status;
+        throw err;
+      }
+      return response;
+    }, function (err) {
+      // fetch only rejects for network failures; only a
+      // browser that knows it's offline will send it later
+      if (navigator.onLine === false) {
+        err.offline = true;
+      } else {
+        err.network = true;
+      }
+      throw err;
+    });
+  }
+
+  /**
+   * Update the form's status line
+   *
+   * @param {HTMLFormElement} form - The form
+   * @param {string} state - Key of STATUS, or "" to clear
+   */
+  function setStatus(form, state) {
+    var status = form.querySelector('.form-status');
+
+    if (!status) {
+      status = document.createElement('p');
+      status.className = 'form-status';
+      status.setAttribute('role', 'status');
+      form.appendChild(status);
+    }
+
+    status.textContent = STATUS[state] || '';
+    status.setAttribute('data-state', state);
+  }
+
+  /**
+   * Dispatch a bubbling form event (and mirror it on the bus)
+   *
+   * @param {HTMLFormElement} form - The form
+   * @param {string} name - Event name
+   * @param {Object} detail - Event data
+   */
+  function emit(form, name, detail) {
+    detail.form = form;
+    form.dispatchEvent(new CustomEvent(name, { bubbles: true, detail: detail }));
+    if (window.App) window.App.emit(name, detail);
+  }
+
+  /**
+   * Validate and send a form
+   *
+   * @param {SubmitEvent} e - The submit event
+   */
+  function onSubmit(e) {
+    var form = e.target;
+
+    e.preventDefault();
+
+    if (form.getAttribute('aria-busy') === 'true') return;
+    if (!validateForm(form)) return;
+
+    var submission = {
+      endpoint: form.getAttribute('data-form-endpoint') || form.action,
+      data: formData(form)
+    };
+    var submit = form.querySelector('[type="submit"]');
+
+    form.setAttribute('aria-busy', 'true');
+    if (submit) submit.disabled = true;
+    setStatus(form, 'sending');
+
+    send(submission).then(function () {
+      finish(form, 'sent');
+      emit(form, 'form:submit', { data: submission.data });
+
+      // A connection is up: good moment to send anything waiting
+      flushQueue();
+    }, function (err) {
+      if (err.offline) {
+        enqueue(submission);
+        finish(form, 'queued');
+        emit(form, 'form:queued', { data: submission.data });
+      } else {
+        setStatus(form, err.network ? 'unreachable' : 'failed');
+        emit(form, 'form:error', { data: submission.data, status: err.status });
+      }
+    }).then(function () {
+      form.removeAttribute('aria-busy');
+      if (submit) submit.disabled = false;
+    });
+  }
+
+  /**
+   * Reset a form after it was sent or queued
+   * Inside a modal, close the dialog once the message was read
+   *
+   * @param {HTMLFormElement} form - The form
+   * @param {string} state - Status to show
+   */
+  function finish(form, state) {
+    form.reset();
+
+    ruledFields(form).forEach(function (field) {
+      field.removeAttribute('data-touched');
+      showError(field, '');
+      field.classList.remove('is-valid');
+    });
+
+    setStatus(form, state);
+
+    var modal = form.closest('.modal');
+
+    if (modal && modal.id && window.Modals) {
+      setTimeout(function () {
+        window.Modals.close(modal.id);
+      }, MODAL_CLOSE_DELAY);
+    }
+  }
+
+
+  /* ---------------------------------------------------------
+     OFFLINE QUEUE
+     ---------------------------------------------------------
+     Submissions that couldn't reach the network wait in
+     localStorage. They are sent in order; a network failure
+     stops the run (still offline), a rejected submission
+     (4xx) is dropped so it can't block the queue forever.
+     --------------------------------------------------------- */
+
+  function readQueue() {
+    try {
+      var queue = JSON.parse(window.localStorage.getItem(QUEUE_KEY));
+      return Array.isArray(queue) ? queue : [];
+    } catch (err) {
+      return [];
+    }
+  }
+
+  function writeQueue(queue) {
+    try {
+      if (queue.length) {
+        window.localStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+      } else {
+        window.localStorage.removeItem(QUEUE_KEY);
+      }
+    } catch (err) {
+      console.error('[forms]', 'Could not save the offline queue:', err.message || err);
+    }
+  }
+
+  /**
+   * Save a submission for later
+   *
+   * @param {Object} submission - { endpoint, data }
+   */
+  function enqueue(submission) {
+    var queue = readQueue();
+
+    submission.queuedAt = new Date().toISOString();
+    queue.push(submission);
+    writeQueue(queue);
+  }
+
+  /**
+   * Send queued submissions, oldest first
+   *
+   * @returns {Promise}
+   */
+  function flushQueue() {
+    if (flushing || !readQueue().length) return Promise.resolve();
+
+    flushing = true;
+
+    function next() {
+      var queue = readQueue();
+      if (!queue.length) return Promise.resolve();
+
+      return send(queue[0]).then(function () {
+        writeQueue(readQueue().slice(1));
+        if (window.App) window.App.emit('form:submit', { data: queue[0].data, queued: true });
+        return next();
+      }, function (err) {
+        if (err.offline) return;
+
+        // Server error: try again next time; rejected: drop it
+        if (err.status >= 400 && err.status < 500) {
+          console.error('[forms]', 'Dropping queued submission rejected with ' + err.status + '.', queue[0]);
+          writeQueue(readQueue().slice(1));
+          return next();
+        }
+      });
+    }
+
+    return next().then(function () {
+      flushing = false;
+    });
+  }
+
+
+  /* ---------------------------------------------------------
+     INITIALIZATION
+     ---------------------------------------------------------
+     Registers as the "forms" module with app.js. init(root)
+     sets up every form[data-form] in root that isn't set up
+     yet, then tries to send whatever is queued.
+     --------------------------------------------------------- */
+
+  /**
+   * Live feedback: check on blur, then on every change once
+   * the field has been visited (no errors while typing the
+   * first time)
+   */
+  function onFieldEvent(e) {
+    var field = e.target;
+
+    if (!field.name || !field.matches('[data-required], [data-type], [data-minlength], [data-maxlength], [data-pattern], [data-match]')) return;
+
+    if (e.type === 'focusout') field.setAttribute('data-touched', '');
+    if (field.hasAttribute('data-touched')) showError(field, validateField(field));
+  }
+
+  function setupForm(form) {
+    for (var i = 0; i < forms.length; i++) {
+      if (forms[i] === form) return;
+    }
+
+    // We show our own messages instead of the browser bubbles
+    form.setAttribute('novalidate', '');
+
+    form.addEventListener('submit', onSubmit);
+    form.addEventListener('focusout', onFieldEvent);
+    form.addEventListener('input', onFieldEvent);
+    form.addEventListener('change', onFieldEvent);
+
+    forms.push(form);
+  }
+
+  function init(root) {
+    var found = (root || document).querySelectorAll('form[data-form]');
+
+    Array.prototype.forEach.call(found, setupForm);
+
+    if (!onlineBound) {
+      window.addEventListener('online', flushQueue);
+      onlineBound = true;
+    }
+
+    flushQueue();
+  }
+
+  function destroy() {
+    forms.forEach(function (form) {
+      form.removeEventListener('submit', onSubmit);
+      form.removeEventListener('focusout', onFieldEvent);
+      form.removeEventListener('input', onFieldEvent);
+      form.removeEventListener('change', onFieldEvent);
+    });
+    forms = [];
+
+    window.removeEventListener('online', flushQueue);
+    onlineBound = false;
+  }
+
+  var formsModule = {
+    init: init,
+    destroy: destroy,
+    flushQueue: flushQueue
+  };
+
+  if (window.App) {
+    window.App.register('forms', formsModule);
+  } else if (document.readyState === 'loading') {
+    // Wait for DOM if still loading, otherwise init immediately
+    document.addEventListener('DOMContentLoaded', function () {
+      init(document);
+    });
+  } else {
+    init(document);
+  }
+
+})();
@@ -0,0 +1,633 @@
+/* =========================================================
+   lightbox.js
+   Fullscreen viewer for project gallery images
+   =========================================================
+   Author:   Valdez Campos (dez@mediabrilliance.io)
+   Studio:   mediaBrilliance designxtudio
+   Date:     2026-01-17
+   Version:  1.0
+
+   Description:
+   ------------
+   Opens .project-gallery images full-screen. The viewer is
+   a .modal run by the utils.js modal manager, so it shares
+   the overlay, scroll lock, focus trap, Escape handling and
+   focus return with every other dialog.
+
+   Features:
+   - Click (or Enter/Space on) any gallery image to open
+   - Previous/next through every gallery image on the page
+   - Swipe, arrow keys, Home/End
+   - Pinch, ctrl+wheel (trackpad pinch), double-click or
+     double-tap to zoom; drag to pan while zoomed
+   - +/- and 0 zoom from the keyboard
+   - Caption from the image's alt text
+   - Optional data-full="..." on an image for a larger file
+   - Registers as the "lightbox" module with app.js
+
+   Dependencies:
+   - utils.js (window.Modals) for opening and closing
+   - Optional app.js (window.App) module registry
+   ========================================================= */
+
+(function () {
+  'use strict';
+
+  /* ---------------------------------------------------------
+     CONFIGURATION
+     --------------------------------------------------------- */
+
+  var LIGHTBOX_ID = 'lightbox';
+  var GALLERY_IMAGES = '.project-gallery img';
+
+  /*
+   * Gesture tuning
+   * MAX_ZOOM:         Largest scale for pinch/wheel/keys
+   * DOUBLE_TAP_ZOOM:  Scale a double-click or double-tap zooms to
+   * KEY_ZOOM:         Scale factor per +/- key press
+   * DOUBLE_TAP_DELAY: ms between taps that count as a double-tap
+   * SWIPE_DISTANCE:   px a swipe must travel to change image
+   * SWIPE_VELOCITY:   px/ms release speed that always changes image
+   * TAP_SLOP:         px a tap may move and still count as a tap
+   */
+  var MAX_ZOOM = 4;
+  var DOUBLE_TAP_ZOOM = 2.5;
+  var KEY_ZOOM = 1.5;
+  var DOUBLE_TAP_DELAY = 300;
+  var SWIPE_DISTANCE = 50;
+  var SWIPE_VELOCITY = 0.4;
+  var TAP_SLOP = 10;
+
+  // Gallery images on the page, in document order
+  var images = [];
+  var index = 0;
+
+  // Lightbox elements, built on first open
+  var box = null;
+
+  // Current zoom and pan (pan in px from the centered position)
+  var view = { scale: 1, x: 0, y: 0 };
+
+  // Pointers currently down on the stage: { id: { x, y } }
+  var pointers = {};
+
+  // Active gesture: null, or { type: 'swipe' | 'pan' | 'pinch', ... }
+  var gesture = null;
+
+  // Time and place of the last tap, for double-tap zoom
+  var lastTap = { t: 0, x: 0, y: 0 };
+
+
+  /* ---------------------------------------------------------
+     MARKUP
+     ---------------------------------------------------------
+     One lightbox per page, appended to <body>. Project pages
+     have no .overlay of their own, so one is added if needed.
+     --------------------------------------------------------- */
+
+  /**
+   * Create an element with a class name
+   *
+   * @param {string} tag - Tag name
+   * @param {string} className - Class attribute
+   * @returns {HTMLElement}
+   */
+  function el(tag, className) {
+    var node = document.createElement(tag);
+    node.className = className;
+    return node;
+  }
+
+  /**
+   * Create an icon button
+   *
+   * @param {string} className - Class attribute
+   * @param {string} label - Accessible name
+   * @param {string} path - SVG path data
+   * @returns {HTMLButtonElement}
+   */
+  function button(className, label, path) {
+    var btn = el('button', 'lightbox-btn ' + className);
+
+    btn.type = 'button';
+    btn.setAttribute('aria-label', label);
+    btn.innerHTML =
+      '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">' +
+      '<path d="' + path + '"/></svg>';
+
+    return btn;
+  }
+
+  /**
+   * Build the lightbox and bind its events
+   */
+  function buildLightbox() {
+    var root = el('div', 'modal lightbox');
+    var stage = el('div', 'lightbox-stage');
+    var image = el('img', 'lightbox-image');
+    var footer = el('div', 'lightbox-footer');
+    var caption = el('p', 'lightbox-caption');
+    var counter = el('span', 'lightbox-counter');
+    var close = button('lightbox-close', 'Close', 'M18 6L6 18M6 6l12 12');
+    var prev = button('lightbox-prev', 'Previous image', 'M15 18l-6-6 6-6');
+    var next = button('lightbox-next', 'Next image', 'M9 18l6-6-6-6');
+
+    root.id = LIGHTBOX_ID;
+    root.setAttribute('aria-label', 'Image viewer');
+    close.setAttribute('data-modal-close', '');
+    close.setAttribute('autofocus', '');
+    image.alt = '';
+    image.draggable = false;
+
+    // Caption and counter are announced as the image changes
+    footer.setAttribute('aria-live', 'polite');
+
+    stage.appendChild(image);
+    footer.appendChild(caption);
+    footer.appendChild(counter);
+    root.appendChild(stage);
+    root.appendChild(footer);
+    root.appendChild(prev);
+    root.appendChild(next);
+    root.appendChild(close);
+    document.body.appendChild(root);
+
+    if (!document.querySelector('.overlay')) {
+      document.body.appendChild(el('div', 'overlay'));
+    }
+
+    box = {
+      root: root,
+      stage: stage,
+      image: image,
+      caption: caption,
+      counter: counter,
+      prev: prev,
+      next: next
+    };
+
+    prev.addEventListener('click', function () { step(-1); });
+    next.addEventListener('click', function () { step(1); });
+    root.addEventListener('keydown', onKeydown);
+    root.addEventListener('modal:close', onClose);
+
+    stage.addEventListener('pointerdown', onPointerDown);
+    stage.addEventListener('pointermove', onPointerMove);
+    stage.addEventListener('pointerup', onPointerUp);
+    stage.addEventListener('pointercancel', onPointerUp);
+    stage.addEventListener('dblclick', onDoubleClick);
+    stage.addEventListener('wheel', onWheel, { passive: false });
+  }
+
+
+  /* ---------------------------------------------------------
+     OPEN / NAVIGATE
+     --------------------------------------------------------- */
+
+  /**
+   * Open the lightbox on a gallery image
+   *
+   * @param {Element} trigger - The clicked gallery image
+   */
+  function openLightbox(trigger) {
+    if (!window.Modals) return;
+
+    // Re-read the gallery so images added later are included
+    images = Array.prototype.slice.call(document.querySelectorAll(GALLERY_IMAGES));
+
+    if (!box) buildLightbox();
+
+    show(images.indexOf(trigger));
+    window.Modals.open(LIGHTBOX_ID, trigger);
+  }
+
+  /**
+   * Display an image (wraps around at either end)
+   *
+   * @param {number} i - Gallery index
+   */
+  function show(i) {
+    var count = images.length;
+    if (!count) return;
+
+    index = ((i % count) + count) % count;
+
+    var source = images[index];
+    var alt = source.getAttribute('alt') || '';
+
+    resetView(false);
+
+    box.image.src = source.getAttribute('data-full') || source.currentSrc || source.src;
+    box.image.alt = alt;
+    box.caption.textContent = alt;
+    box.counter.textContent = (index + 1) + ' / ' + count;
+
+    // Nothing to step through with a single image
+    box.prev.hidden = count < 2;
+    box.next.hidden = count < 2;
+  }
+
+  /**
+   * Show the previous or next image
+   *
+   * @param {number} delta - -1 or 1
+   */
+  function step(delta) {
+    if (images.length > 1) show(index + delta);
+  }
+
+  /**
+   * Reset gesture state once the modal manager closes us
+   */
+  function onClose() {
+    pointers = {};
+    gesture = null;
+    resetView(false);
+  }
+
+
+  /* ---------------------------------------------------------
+     ZOOM & PAN
+     ---------------------------------------------------------
+     The image is centered by CSS; view holds the scale and
+     the pan offset applied on top as a transform.
+     --------------------------------------------------------- */
+
+  /**
+   * Write the view to the image
+   *
+   * @param {boolean} animate - Use the CSS transition
+   */
+  function applyView(animate) {
+    box.root.classList.toggle('is-gesturing', !animate);
+    box.root.classList.toggle('is-zoomed', view.scale > 1);
+    box.image.style.transform =
+      'translate(' + view.x + 'px, ' + view.y + 'px) scale(' + view.scale + ')';
+  }
+
+  /**
+   * Back to fit-to-screen
+   *
+   * @param {boolean} animate - Use the CSS transition
+   */
+  function resetView(animate) {
+    view.scale = 1;
+    view.x = 0;
+    view.y = 0;
+    if (box) applyView(animate);
+  }
+
+  /**
+   * Keep the zoomed image covering its own footprint, so it
+   * can't be panned off-screen
+   */
+  function clampView() {
+    var maxX = box.image.offsetWidth * (view.scale - 1) / 2;
+    var maxY = box.image.offsetHeight * (view.scale - 1) / 2;
+
+    view.x = Math.max(-maxX, Math.min(maxX, view.x));
+    view.y = Math.max(-maxY, Math.min(maxY, view.y));
+  }
+
+  /**
+   * Zoom keeping a screen point fixed under the finger/cursor
+   *
+   * @param {number} scale - Target scale (clamped to 1..MAX_ZOOM)
+   * @param {number} clientX - Fixed point X (viewport px)
+   * @param {number} clientY - Fixed point Y (viewport px)
+   * @param {boolean} animate - Use the CSS transition
+   */
+  function zoomAt(scale, clientX, clientY, animate) {
+    var rect = box.stage.getBoundingClientRect();
+    var next = Math.max(1, Math.min(MAX_ZOOM, scale));
+
+    // Point relative to the stage center, where the image sits
+    var px = clientX - (rect.left + rect.width / 2);
+    var py = clientY - (rect.top + rect.height / 2);
+    var ratio = next / view.scale;
+
+    view.x = px - (px - view.x) * ratio;
+    view.y = py - (py - view.y) * ratio;
+    view.scale = next;
+
+    clampView();
+    applyView(animate);
+  }
+
+  /**
+   * Zoom about the stage center (keyboard)
+   *
+   * @param {number} scale - Target scale
+   */
+  function zoomCenter(scale) {
+    var rect = box.stage.getBoundingClientRect();
+    zoomAt(scale, rect.left + rect.width / 2, rect.top + rect.height / 2, true);
+  }
+
+  /**
+   * Double-click / double-tap: zoom in on the point, or back out
+   *
+   * @param {number} clientX - Point X (viewport px)
+   * @param {number} clientY - Point Y (viewport px)
+   */
+  function toggleZoom(clientX, clientY) {
+    if (view.scale > 1) {
+      resetView(true);
+    } else {
+      zoomAt(DOUBLE_TAP_ZOOM, clientX, clientY, true);
+    }
+  }
+
+
+  /* ---------------------------------------------------------
+     POINTER GESTURES
+     ---------------------------------------------------------
+     One pointer swipes between images (or pans when zoomed),
+     two pointers pinch. Lifting one finger of a pinch carries
+     on as a pan with the other.
+     --------------------------------------------------------- */
+
+  /**
+   * Distance and midpoint of the first two pointers
+   *
+   * @returns {Object} { distance, x, y }
+   */
+  function pinchMetrics() {
+    var ids = Object.keys(pointers);
+    var a = pointers[ids[0]];
+    var b = pointers[ids[1]];
+
+    return {
+      distance: Math.sqrt(Math.pow(a.x - b.x, 2) + Math.pow(a.y - b.y, 2)) || 1,
+      x: (a.x + b.x) / 2,
+      y: (a.y + b.y) / 2
+    };
+  }
+
+  /**
+   * Start a one-pointer gesture from the given pointer
+   *
+   * @param {Object} point - { x, y }
+   * @param {number} time - Event timestamp
+   */
+  function beginSingle(point, time) {
+    gesture = {
+      type: view.scale > 1 ? 'pan' : 'swipe',
+      startX: point.x,
+      startY: point.y,
+      baseX: view.x,
+      baseY: view.y,
+      t: time
+    };
+  }
+
+  function onPointerDown(e) {
+    // Buttons keep their own clicks; only the main mouse button pans
+    if (e.target.closest('button')) return;
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+
+    if (box.stage.setPointerCapture) {
+      try {
+        box.stage.setPointerCapture(e.pointerId);
+      } catch (err) {
+        // Pointer already gone
+      }
+    }
+
+    pointers[e.pointerId] = { x: e.clientX, y: e.clientY };
+
+    var count = Object.keys(pointers).length;
+
+    if (count === 2) {
+      // A swipe that turns into a pinch drops its sideways offset
+      if (gesture && gesture.type === 'swipe') view.x = 0;
+
+      gesture = { type: 'pinch', distance: pinchMetrics().distance, scale: view.scale };
+    } else if (count === 1) {
+      beginSingle(pointers[e.pointerId], e.timeStamp);
+    }
+  }
+
+  function onPointerMove(e) {
+    if (!pointers[e.pointerId] || !gesture) return;
+
+    pointers[e.pointerId] = { x: e.clientX, y: e.clientY };
+    e.preventDefault();
+
+    if (gesture.type === 'pinch') {
+      var pinch = pinchMetrics();
+      zoomAt(gesture.scale * pinch.distance / gesture.distance, pinch.x, pinch.y, false);
+      return;
+    }
+
+    var dx = e.clientX - gesture.startX;
+    var dy = e.clientY - gesture.startY;
+
+    if (gesture.type === 'pan') {
+      view.x = gesture.baseX + dx;
+      view.y = gesture.baseY + dy;
+      clampView();
+    } else {
+      // Swipe: the image follows the finger sideways
+      view.x = dx;
+    }
+
+    applyView(false);
+  }
+
+  function onPointerUp(e) {
+    var point = pointers[e.pointerId];
+    if (!point) return;
+
+    delete pointers[e.pointerId];
+
+    var remaining = Object.keys(pointers);
+
+    // Pinch down to one finger: keep panning with it
+    if (gesture && gesture.type === 'pinch') {
+      if (view.scale <= 1) resetView(true);
+      gesture = null;
+      if (remaining.length === 1) beginSingle(pointers[remaining[0]], e.timeStamp);
+      return;
+    }
+
+    if (!gesture || remaining.length) return;
+
+    var dx = e.clientX - gesture.startX;
+    var dy = e.clientY - gesture.startY;
+    var elapsed = e.timeStamp - gesture.t;
+    var type = gesture.type;
+
+    gesture = null;
+
+    // A tap: check for a double-tap (mouse uses dblclick instead)
+    if (Math.abs(dx) < TAP_SLOP && Math.abs(dy) < TAP_SLOP) {
+      if (type === 'swipe') resetView(true);
+      if (e.pointerType !== 'mouse' && e.type === 'pointerup') onTap(e);
+      return;
+    }
+
+    if (type !== 'swipe') return;
+
+    var velocity = elapsed > 0 ? dx / elapsed : 0;
+    var horizontal = Math.abs(dx) > Math.abs(dy);
+
+    if (e.type === 'pointerup' && horizontal &&
+        (Math.abs(dx) > SWIPE_DISTANCE || Math.abs(velocity) > SWIPE_VELOCITY)) {
+      // Swiping left reveals the next image (mirrored in RTL)
+      var rtl = getComputedStyle(box.root).direction === 'rtl';
+      step((dx < 0) !== rtl ? 1 : -1);
+    } else {
+      resetView(true);
+    }
+  }
+
+  /**
+   * Detect a double-tap from touch or pen
+   *
+   * @param {PointerEvent} e - The pointerup of the tap
+   */
+  function onTap(e) {
+    var isDouble = e.timeStamp - lastTap.t < DOUBLE_TAP_DELAY &&
+      Math.abs(e.clientX - lastTap.x) < TAP_SLOP * 3 &&
+      Math.abs(e.clientY - lastTap.y) < TAP_SLOP * 3;
+
+    if (isDouble) {
+      toggleZoom(e.clientX, e.clientY);
+      lastTap.t = 0;
+    } else {
+      lastTap = { t: e.timeStamp, x: e.clientX, y: e.clientY };
+    }
+  }
+
+  function onDoubleClick(e) {
+    if (e.target.closest('button')) return;
+    toggleZoom(e.clientX, e.clientY);
+  }
+
+  /**
+   * Trackpad pinch arrives as ctrl+wheel; plain wheel is ignored
+   * (the page behind is scroll-locked anyway)
+   *
+   * @param {WheelEvent} e - The input event
+   */
+  function onWheel(e) {
+    if (!e.ctrlKey) return;
+
+    e.preventDefault();
+    zoomAt(view.scale * Math.exp(-e.deltaY * 0.01), e.clientX, e.clientY, false);
+  }
+
+
+  /* ---------------------------------------------------------
+     KEYBOARD
+     ---------------------------------------------------------
+     Escape and Tab are handled by the modal manager.
+     - ArrowLeft/ArrowRight  Previous/next image (mirrored in RTL)
+     - Home/End              First/last image
+     - + / - / 0             Zoom in, out, reset
+     --------------------------------------------------------- */
+  function onKeydown(e) {
+    if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey) return;
+
+    var dir = getComputedStyle(box.root).direction === 'rtl' ? -1 : 1;
+
+    switch (e.key) {
+      case 'ArrowLeft':
+        step(-dir);
+        break;
+      case 'ArrowRight':
+        step(dir);
+        break;
+      case 'Home':
+        show(0);
+        break;
+      case 'End':
+        show(images.length - 1);
+        break;
+      case '+':
+      case '=':
+        zoomCenter(view.scale * KEY_ZOOM);
+        break;
+      case '-':
+        zoomCenter(view.scale / KEY_ZOOM);
+        break;
+      case '0':
+        resetView(true);
+        break;
+      default:
+        return;
+    }
+
+    e.preventDefault();
+  }
+
+
+  /* ---------------------------------------------------------
+     INITIALIZATION
+     ---------------------------------------------------------
+     Gallery images become buttons that open the lightbox.
+     Clicks are delegated so images added later work too;
+     init(root) only marks up the images found in root.
+     --------------------------------------------------------- */
+
+  // Delegated listeners bound
+  var bound = false;
+
+  function onGalleryClick(e) {
+    var image = e.target.closest(GALLERY_IMAGES);
+    if (image) openLightbox(image);
+  }
+
+  function onGalleryKeydown(e) {
+    var image = e.target.closest && e.target.closest(GALLERY_IMAGES);
+
+    if (image && (e.key === 'Enter' || e.key === ' ')) {
+      e.preventDefault();
+      openLightbox(image);
+    }
+  }
+
+  function init(root) {
+    var gallery = (root || document).querySelectorAll(GALLERY_IMAGES);
+
+    Array.prototype.forEach.call(gallery, function (image) {
+      image.setAttribute('role', 'button');
+      image.setAttribute('tabindex', '0');
+      image.setAttribute('aria-haspopup', 'dialog');
+    });
+
+    if (bound) return;
+    bound = true;
+
+    document.addEventListener('click', onGalleryClick);
+    document.addEventListener('keydown', onGalleryKeydown);
+  }
+
+  function destroy() {
+    if (box && window.Modals && window.Modals.isOpen(LIGHTBOX_ID)) {
+      window.Modals.close(LIGHTBOX_ID);
+    }
+
+    document.removeEventListener('click', onGalleryClick);
+    document.removeEventListener('keydown', onGalleryKeydown);
+    bound = false;
+  }
+
+  var lightboxModule = {
+    init: init,
+    destroy: destroy
+  };
+
+  if (window.App) {
+    window.App.register('lightbox', lightboxModule);
+  } else if (document.readyState === 'loading') {
+    // Wait for DOM if still loading, otherwise init immediately
+    document.addEventListener('DOMContentLoaded', function () {
+      init(document);
+    });
+  } else {
+    init(document);
+  }
+
+})();
@@ -17,11 +17,38 @@
    - Glitch entrance animation on page load
    - Glitch exit animation on internal navigation
    - Dynamically generated interference lines
+   - Preset registry (see TRANSITION PRESETS): glitch, crt,
+     scanline, static, none; chosen per link or per page with
+     data-transition; window.Transitions.register() adds more
+   - Timings live in style.css only (section 1 tokens); the
+     sequences wait for the CSS animations to end
    - Respects prefers-reduced-motion accessibility setting
+   - Registers as the "page-transition" module with app.js
+     (navigateTo is available as App.get('page-transition').navigateTo)
+   - transition:navigate bus event (detail: { url, preset }) when
+     navigateTo() starts
+   - Explicit lifecycle (see LIFECYCLE): idle, entering,
+     leaving, restoring; a watchdog always clears the overlay
+   - A pending navigation is cancelled by another click or
+     Escape, and reported when the visitor leaves some other
+     way first (transition:cancel bus event, detail: { url,
+     reason })
+   - Pages restored from the back/forward cache are uncovered
+     (pageshow with persisted)
+   - Optional in-place navigation (see SWAP NAVIGATION):
+     <html lang="en" data-navigation="swap">
+   - Prefetches internal pages on hover, focus, touch and
+     (project cards) when scrolled into view
+   - View Transitions where supported: the clicked project
+     card morphs into the project page hero and title, with
+     the glitch played on the page snapshots (style.css 4);
+     other browsers, and other presets, keep the overlay
 
    Dependencies:
    - Requires #page-transition element in HTML
    - Requires corresponding CSS animations in style.css
+   - Optional app.js (window.App) module registry; swap mode
+     uses it to set up the new content
    ========================================================= */
 
 (function () {
@@ -39,6 +66,38 @@
   // Check if user prefers reduced motion (accessibility)
   var prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
 
+  // View Transitions support: across page loads (enabled by
+  // @view-transition in style.css) and within the page (swap mode)
+  var crossDocumentTransitions = 'onpagereveal' in window;
+  var sameDocumentTransitions = typeof document.startViewTransition === 'function';
+
+  // Pending animation timeouts (cleared by destroy)
+  var timers = [];
+
+  // Path of the page currently shown (see handlePopState)
+  var currentPath = window.location.pathname;
+
+  // Lifecycle flags: listeners bound / entrance already played
+  var bound = false;
+  var entered = false;
+
+  // Fetch-and-swap navigation instead of full page loads
+  var swapMode = document.documentElement.getAttribute('data-navigation') === 'swap';
+
+  // Id of the latest swap navigation; responses for older
+  // ones are ignored (but stay cached, see PREFETCHING)
+  var swapId = 0;
+
+  /**
+   * setTimeout that destroy() can cancel
+   *
+   * @param {Function} fn - Callback
+   * @param {number} ms - Delay
+   */
+  function later(fn, ms) {
+    timers.push(setTimeout(fn, ms));
+  }
+
 
   /* ---------------------------------------------------------
      GLITCH LINES GENERATION
@@ -48,8 +107,8 @@
      with varying heights and opacities for organic feel.
      --------------------------------------------------------- */
   function createGlitchLines() {
-    // Exit if transition element doesn't exist
-    if (!transition) return;
+    // Exit if transition element doesn't exist or already has lines
+    if (!transition || transition.querySelector('.glitch-lines')) return;
 
     // Create container for interference lines
     var container = document.createElement('div');
@@ -77,50 +136,547 @@
 
 
   /* ---------------------------------------------------------
-     PAGE LOAD INITIALIZATION
+     TRANSITION PRESETS
      ---------------------------------------------------------
-     Triggers the glitch entrance animation when the page
-     first loads. The animation sequence:
-     1. Add glitching class to body
-     2. Activate glitch overlay
-     3. After animation, remove overlay
-     4. Clean up classes
+     A preset names the classes that put the #page-transition
+     overlay through its animation; style.css (section 4)
+     does the animating and owns every timing, so nothing here
+     has to be kept in sync with the keyframes.
+
+     Transitions.register('name', {
+       cover: 'name-active',        // Overlay hides the page
+       reveal: 'name-exit',         // Overlay uncovers it again
+       loading: 'name-loading',     // Optional: while a swap
+                                    // navigation waits for the network
+       setup: function (overlay) {} // Optional: runs once, before
+                                    // the preset is first used
+     });
+
+     While a preset runs, <body> carries transition-<name>
+     next to is-leaving (covering) or is-glitching (revealing),
+     so a preset can animate the page content as well.
+
+     Choosing a preset:
+     - Per link:  <a href="/about.html" data-transition="crt">
+     - Per page:  <body data-transition="scanline">
+     - Otherwise: glitch
+     The preset that leaves a page also plays the entrance of
+     the next one. "none" navigates without an effect.
      --------------------------------------------------------- */
-  function init() {
-    // Generate interference lines on init
-    createGlitchLines();
 
-    // Skip animations if user prefers reduced motion
-    if (!prefersReducedMotion) {
-      // Add glitching state to body (triggers content animation)
-      document.body.classList.add('is-glitching');
+  var DEFAULT_PRESET = 'glitch';
+
+  // sessionStorage key handing the leaving preset to the next page
+  var NEXT_PRESET_KEY = 'transition:next';
+
+  // Registered presets by name: { name, cover, reveal, loading, setup }
+  var presets = {};
+
+  /**
+   * Register a preset
+   *
+   * @param {string} name - Preset name (used in data-transition)
+   * @param {Object} options - { cover, reveal, loading, setup }
+   * @returns {boolean} Whether it was registered
+   */
+  function register(name, options) {
+    if (presets.hasOwnProperty(name)) {
+      console.error('[page-transition]', 'Preset "' + name + '" is already registered.');
+      return false;
+    }
+
+    options = options || {};
+
+    presets[name] = {
+      name: name,
+      cover: options.cover || '',
+      reveal: options.reveal || '',
+      loading: options.loading || '',
+      setup: options.setup || null
+    };
+
+    return true;
+  }
+
+  /**
+   * Get a preset, ready to run
+   * Unknown names fall back to the page's preset
+   *
+   * @param {string} [name] - Preset name
+   * @returns {Object}
+   */
+  function getPreset(name) {
+    if (name && !presets.hasOwnProperty(name)) {
+      console.warn('[page-transition]', 'Unknown preset "' + name + '".');
+      name = null;
+    }
+
+    var preset = presets[name || pagePreset()] || presets[DEFAULT_PRESET];
+
+    // One-time markup (e.g. the glitch lines)
+    if (preset.setup && transition) {
+      preset.setup(transition);
+      preset.setup = null;
+    }
+
+    return preset;
+  }
+
+  /**
+   * The page's own preset (<body data-transition>)
+   *
+   * @returns {string}
+   */
+  function pagePreset() {
+    var name = document.body.getAttribute('data-transition');
+    return presets.hasOwnProperty(name) ? name : DEFAULT_PRESET;
+  }
+
+  /**
+   * Hand a preset name to the next page, or take it
+   * (sessionStorage can throw; the next page then uses its own)
+   *
+   * @param {string} [name] - Name to store; omit to read and clear
+   * @returns {string|null}
+   */
+  function nextPreset(name) {
+    try {
+      if (name) {
+        window.sessionStorage.setItem(NEXT_PRESET_KEY, name);
+        return name;
+      }
+
+      name = window.sessionStorage.getItem(NEXT_PRESET_KEY);
+      window.sessionStorage.removeItem(NEXT_PRESET_KEY);
+      return name;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  // Built-in presets (styles in style.css, section 4)
+  register('glitch', {
+    cover: 'glitch-active',
+    reveal: 'glitch-exit',
+    loading: 'glitch-loading',
+    setup: createGlitchLines
+  });
+  register('crt', { cover: 'crt-active', reveal: 'crt-exit' });
+  register('scanline', { cover: 'scanline-active', reveal: 'scanline-exit', loading: 'scanline-loading' });
+  register('static', { cover: 'static-active', reveal: 'static-exit' });
+  register('none', {});
+
+
+  /* ---------------------------------------------------------
+     ANIMATION TIMING
+     ---------------------------------------------------------
+     Instead of timers that mirror the CSS, a step waits for
+     the animations it started: animationend, with the computed
+     duration + delay as a safety net (animationend never fires
+     for an animation that is removed or never ran).
+     --------------------------------------------------------- */
+
+  /**
+   * Convert a CSS time ("0.5s", "400ms") to milliseconds
+   *
+   * @param {string} value - CSS time
+   * @returns {number}
+   */
+  function toMs(value) {
+    value = (value || '').trim();
+    return parseFloat(value) * (/ms$/.test(value) ? 1 : 1000) || 0;
+  }
+
+  /**
+   * Resolve once the animations running on an element end
+   * Right away when it has none (e.g. reduced motion);
+   * infinite ones are not waited for
+   *
+   * @param {Element} el - Animated element
+   * @returns {Promise}
+   */
+  function animationDone(el) {
+    return new Promise(function (resolve) {
+      var style = el ? getComputedStyle(el) : null;
+      var names = style ? style.animationName.split(',') : [];
+      var durations = style ? style.animationDuration.split(',') : [];
+      var delays = style ? style.animationDelay.split(',') : [];
+      var counts = style ? style.animationIterationCount.split(',') : [];
+      var longest = 0;
+      var running = 0;
+
+      names.forEach(function (name, i) {
+        var time = toMs(durations[i % durations.length]) + toMs(delays[i % delays.length]);
+
+        // Looping animations (loading states, grain) never end
+        if (name.trim() === 'none' || !time || counts[i % counts.length].trim() === 'infinite') return;
+
+        running++;
+        longest = Math.max(longest, time);
+      });
+
+      if (!running) {
+        resolve();
+        return;
+      }
+
+      function onEnd(e) {
+        // Pseudo-element and child animations bubble here too
+        if (e.target !== el || e.pseudoElement) return;
+        if (--running <= 0) done();
+      }
+
+      function done() {
+        el.removeEventListener('animationend', onEnd);
+        resolve();
+      }
+
+      el.addEventListener('animationend', onEnd);
+      later(done, longest + 100);
+    });
+  }
+
+  /**
+   * Resolve once the overlay and the page content are done
+   *
+   * @returns {Promise}
+   */
+  function sequenceDone() {
+    return Promise.all([
+      animationDone(transition),
+      animationDone(document.querySelector('main'))
+    ]);
+  }
+
+
+  /* ---------------------------------------------------------
+     SEQUENCES
+     ---------------------------------------------------------
+     cover() hides the page (leaving), reveal() uncovers it
+     (arriving) and cleans up. Each step bumps sequenceId, so
+     a cleanup from an older step can't undo a newer one.
+     --------------------------------------------------------- */
+
+  // Preset on the overlay right now (null when idle)
+  var activePreset = null;
+  var sequenceId = 0;
+
+  /**
+   * Put a preset's body class in place of the previous one
+   *
+   * @param {Object} preset - Preset to run
+   */
+  function usePreset(preset) {
+    if (activePreset && activePreset !== preset) clearPreset();
+
+    activePreset = preset;
+    document.body.classList.add('transition-' + preset.name);
+  }
+
+  /**
+   * Remove every class a sequence may have added
+   */
+  function clearPreset() {
+    document.body.classList.remove('is-glitching', 'is-leaving');
+
+    if (activePreset) {
+      document.body.classList.remove('transition-' + activePreset.name);
+
+      if (transition) {
+        [activePreset.cover, activePreset.reveal, activePreset.loading].forEach(function (name) {
+          if (name) transition.classList.remove(name);
+        });
+      }
+    }
+
+    activePreset = null;
+  }
+
+  /**
+   * Cover the page before leaving it
+   *
+   * @param {Object} preset - Preset to run
+   * @param {boolean} [loading] - Also show the preset's loading
+   *   state (swap navigation waiting for the network)
+   * @returns {Promise} Resolves once the page is covered
+   */
+  function cover(preset, loading) {
+    sequenceId++;
+    usePreset(preset);
+
+    // Add leaving state to body (triggers content exit animation)
+    document.body.classList.add('is-leaving');
+
+    if (transition) {
+      if (preset.cover) transition.classList.add(preset.cover);
+      if (loading && preset.loading) transition.classList.add(preset.loading);
+    }
+
+    return sequenceDone();
+  }
+
+  /**
+   * Uncover the page, then clean up
+   *
+   * @param {Object} preset - Preset to run
+   * @returns {Promise} Resolves once the page is uncovered
+   */
+  function reveal(preset) {
+    var id = ++sequenceId;
+
+    usePreset(preset);
+
+    document.body.classList.remove('is-leaving');
+    document.body.classList.add('is-glitching');
+
+    if (transition) {
+      if (preset.cover) transition.classList.remove(preset.cover);
+      if (preset.loading) transition.classList.remove(preset.loading);
+      if (preset.reveal) transition.classList.add(preset.reveal);
+    }
+
+    return sequenceDone().then(function () {
+      if (id === sequenceId) settle();
+    });
+  }
+
+  /**
+   * Play a preset's entrance on the current page: cover,
+   * then reveal
+   *
+   * @param {Object} preset - Preset to run
+   */
+  function enter(preset) {
+    var id = ++sequenceId;
+
+    usePreset(preset);
 
-      // Small delay before starting overlay animation
-      // Allows content to begin its glitch-in effect
-      setTimeout(function () {
-        if (transition) {
-          transition.classList.add('glitch-active');
-        }
-      }, 50);
+    // Add glitching state to body (triggers content animation)
+    document.body.classList.add('is-glitching');
 
-      // After entrance animation completes, start exit
-      setTimeout(function () {
-        if (transition) {
-          // Remove entrance class
-          transition.classList.remove('glitch-active');
-          // Add exit class to fade out overlay
-          transition.classList.add('glitch-exit');
-        }
+    if (transition && preset.cover) transition.classList.add(preset.cover);
 
-        // After exit animation, clean up all classes
-        setTimeout(function () {
-          document.body.classList.remove('is-glitching');
-          if (transition) {
-            transition.classList.remove('glitch-exit');
-          }
-        }, 400); // Exit animation duration
+    // After entrance animation completes, start exit
+    animationDone(transition).then(function () {
+      if (id === sequenceId) reveal(preset);
+    });
+  }
+
+
+  /* ---------------------------------------------------------
+     LIFECYCLE
+     ---------------------------------------------------------
+     The module is always in one of four states:
+
+     idle       Nothing on screen
+     entering   Entrance on page load, or the reveal after a swap
+     leaving    Covering the page for a navigation; can still
+                be cancelled until the new page is up
+     restoring  Back/forward (or a back/forward cache restore)
+                bringing a page back
+
+     Every state but idle arms a watchdog. If a sequence hasn't
+     ended after WATCHDOG_TIMEOUT (an animation that never ran,
+     a hung request, a navigation the browser didn't make, e.g.
+     a 204 or a download), the overlay is cleared so the page
+     is never left unusable.
+
+     A pending navigation is cancelled ("bail out") by a click
+     anywhere but the link it is headed to (the overlay catches
+     clicks while it covers the page) or by Escape. The bus
+     gets transition:cancel { url, reason }, reason being
+     'click', 'escape', 'navigate' (back/forward), 'timeout',
+     'leave' (the page was left another way, e.g. the back
+     button or closing the tab, before the navigation handed
+     over) or 'api' (App.get('page-transition').cancel()).
+     --------------------------------------------------------- */
+
+  var STATE = {
+    IDLE: 'idle',
+    ENTERING: 'entering',
+    LEAVING: 'leaving',
+    RESTORING: 'restoring'
+  };
+
+  // Longest a transition may keep the page covered (ms)
+  var WATCHDOG_TIMEOUT = 6000;
+
+  var state = STATE.IDLE;
 
-      }, 500); // Entrance animation duration
+  // Where the navigation in progress goes (null when idle)
+  var pendingUrl = null;
+
+  // Set once location.href was assigned: the browser is loading
+  var navigating = false;
+
+  // Watchdog timeout and what it should do besides clearing up
+  var watchdog = null;
+  var onTimeout = null;
+
+  /**
+   * Move to a state and (re)arm the watchdog
+   *
+   * @param {string} next - One of STATE
+   * @param {string} [url] - Navigation target
+   * @param {Function} [timeoutFallback] - Runs if the watchdog fires
+   */
+  function setState(next, url, timeoutFallback) {
+    state = next;
+
+    clearTimeout(watchdog);
+    watchdog = null;
+    onTimeout = null;
+
+    if (next === STATE.IDLE) {
+      pendingUrl = null;
+      navigating = false;
+      return;
+    }
+
+    if (url) pendingUrl = url;
+    onTimeout = timeoutFallback || null;
+    watchdog = setTimeout(onWatchdog, WATCHDOG_TIMEOUT);
+  }
+
+  /**
+   * Stop whatever sequence runs and go back to idle
+   */
+  function settle() {
+    sequenceId++;
+    clearPreset();
+    setState(STATE.IDLE);
+  }
+
+  function onWatchdog() {
+    var fallback = onTimeout;
+
+    console.warn('[page-transition]', 'Still ' + state + ' after ' + WATCHDOG_TIMEOUT + 'ms, clearing the overlay.');
+
+    // The browser is still loading the next page; let it,
+    // but give this one back in the meantime
+    if (navigating) {
+      settle();
+      return;
+    }
+
+    if (state === STATE.LEAVING) {
+      cancel('timeout');
+      return;
+    }
+
+    swapId++;
+    settle();
+
+    if (fallback) fallback();
+  }
+
+  /**
+   * Call off the navigation in progress
+   *
+   * @param {string} reason - What called it off (see above)
+   * @returns {boolean} Whether there was one to cancel
+   */
+  function cancel(reason) {
+    if (state !== STATE.LEAVING) return false;
+
+    var url = pendingUrl;
+
+    // Stop a page load the browser already started
+    if (navigating && window.stop) window.stop();
+
+    // Ignore the swap in flight, and drop the hand-off to a
+    // next page that isn't coming
+    swapId++;
+    nextPreset();
+    clearSharedNames();
+    settle();
+
+    if (window.App) window.App.emit('transition:cancel', { url: url, reason: reason });
+
+    return true;
+  }
+
+  function onKeydown(e) {
+    if (e.key === 'Escape' && cancel('escape')) e.preventDefault();
+  }
+
+  /**
+   * Back/forward cache: the page comes back exactly as it
+   * was left, which for a page that navigated away means
+   * covered. Uncover it.
+   *
+   * @param {PageTransitionEvent} e - pageshow event
+   */
+  function onPageShow(e) {
+    if (!e.persisted) return;
+
+    currentPath = window.location.pathname;
+
+    if (state === STATE.IDLE) return;
+
+    var preset = activePreset;
+
+    // Nothing from before the page was hidden still applies
+    swapId++;
+    nextPreset();
+    clearSharedNames();
+
+    if (prefersReducedMotion || !preset) {
+      settle();
+      return;
+    }
+
+    setState(STATE.RESTORING);
+    reveal(preset);
+  }
+
+  /**
+   * Leaving some other way before a navigation handed over
+   * is a bail-out. Going into the back/forward cache, timers
+   * freeze with the page, so the watchdog would fire on
+   * restore, mid-reveal
+   *
+   * @param {PageTransitionEvent} e - pagehide event
+   */
+  function onPageHide(e) {
+    if (!navigating) cancel('leave');
+
+    if (!e.persisted) return;
+
+    clearTimeout(watchdog);
+    watchdog = null;
+  }
+
+  function handleLifecycle() {
+    document.addEventListener('keydown', onKeydown);
+    window.addEventListener('pageshow', onPageShow);
+    window.addEventListener('pagehide', onPageHide);
+  }
+
+
+  /* ---------------------------------------------------------
+     PAGE LOAD INITIALIZATION
+     ---------------------------------------------------------
+     Triggers the entrance animation when the page first
+     loads, with the preset that left the previous page (or
+     the page's own). The animation sequence:
+     1. Add glitching class to body
+     2. Activate the overlay (cover)
+     3. Once it's done, reveal the page
+     4. Clean up classes
+     --------------------------------------------------------- */
+  function init() {
+    var handed = nextPreset();
+    var preset = getPreset(handed);
+
+    // Skip animations if user prefers reduced motion,
+    // the entrance already played (re-init after destroy),
+    // or the browser just ran a view transition into this page
+    // (a hand-off means the last page skipped it, see onPageSwap)
+    if (!prefersReducedMotion && !entered && (handed || !arrivedByViewTransition())) {
+      entered = true;
+      setState(STATE.ENTERING);
+      enter(preset);
     }
   }
 
@@ -135,69 +691,129 @@
      - Target="_blank" links
      - Anchor links on same page
      - Clicks with modifier keys (Ctrl, Cmd, etc.)
+     The link rules are shared with prefetching, so both
+     agree on which links lead to a transition.
      --------------------------------------------------------- */
   function handleNavigation() {
-    document.addEventListener('click', function (e) {
-      // Find the closest anchor element (handles nested elements)
-      var link = e.target.closest('a');
+    document.addEventListener('click', onLinkClick);
+  }
+
+  /**
+   * Whether a link opens another page of this site in the
+   * current tab (the links this module takes over)
+   *
+   * @param {HTMLAnchorElement} link - The link
+   * @returns {boolean}
+   */
+  function isTransitionLink(link) {
+    // Exit if external link (different domain)
+    if (link.hostname !== window.location.hostname) return false;
+
+    // Exit if download link
+    if (link.hasAttribute('download')) return false;
 
-      // Exit if not a link
-      if (!link) return;
+    // Exit if opens in new tab
+    if (link.getAttribute('target') === '_blank') return false;
 
-      // Exit if external link (different domain)
-      if (link.hostname !== window.location.hostname) return;
+    // Exit if anchor link on same page (e.g., #section)
+    if (link.hash && link.pathname === window.location.pathname) return false;
 
-      // Exit if download link
-      if (link.hasAttribute('download')) return;
+    return true;
+  }
+
+  /**
+   * Delegated click handler for internal links
+   *
+   * @param {MouseEvent} e - The click event
+   */
+  function onLinkClick(e) {
+    // Find the closest anchor element (handles nested elements)
+    var link = e.target.closest('a');
+
+    // Clicking again while leaving: the same link keeps going,
+    // anything else (another link, the overlay) calls it off
+    if (state === STATE.LEAVING) {
+      if (link && link.href === pendingUrl) {
+        e.preventDefault();
+        return;
+      }
 
-      // Exit if opens in new tab
-      if (link.getAttribute('target') === '_blank') return;
+      cancel('click');
+    }
 
-      // Exit if anchor link on same page (e.g., #section)
-      if (link.hash && link.pathname === window.location.pathname) return;
+    // Exit if not a link, or not one we handle
+    if (!link || !isTransitionLink(link)) return;
 
-      // Exit if modifier keys pressed (allow browser default behavior)
-      // Ctrl+click, Cmd+click open in new tab; Shift+click opens in new window
-      if (e.ctrlKey || e.metaKey || e.shiftKey || e.altKey) return;
+    // Exit if modifier keys pressed (allow browser default behavior)
+    // Ctrl+click, Cmd+click open in new tab; Shift+click opens in new window
+    if (e.ctrlKey || e.metaKey || e.shiftKey || e.altKey) return;
 
-      // Prevent default navigation
-      e.preventDefault();
+    // Prevent default navigation
+    e.preventDefault();
 
-      // Trigger transition then navigate
-      navigateTo(link.href);
-    });
+    var preset = getPreset(link.getAttribute('data-transition'));
+
+    // Give the card's image and title to the next page
+    if (usesViewTransition(link.href, preset)) nameSharedElements(link);
+
+    // Trigger transition then navigate
+    navigateTo(link.href, preset.name);
   }
 
 
   /* ---------------------------------------------------------
      NAVIGATE WITH GLITCH TRANSITION
      ---------------------------------------------------------
-     Triggers the exit glitch animation before navigating
-     to a new page. For users who prefer reduced motion,
-     navigates immediately without animation.
+     Triggers the exit animation before navigating to a new
+     page. For users who prefer reduced motion, navigates
+     immediately without animation. In swap mode the page is
+     fetched and swapped in instead (see SWAP NAVIGATION
+     below).
 
      @param {string} url - The URL to navigate to
+     @param {string} [presetName] - Preset to use (defaults to
+       the page's, see TRANSITION PRESETS)
      --------------------------------------------------------- */
-  function navigateTo(url) {
-    // Skip animation for reduced motion preference
-    if (prefersReducedMotion) {
-      window.location.href = url;
+  function navigateTo(url, presetName) {
+    var preset = getPreset(presetName);
+
+    // Let other modules (e.g. analytics.js) know we're leaving
+    if (window.App) window.App.emit('transition:navigate', { url: url, preset: preset.name });
+
+    if (canSwap(url)) {
+      swapTo(url, true, preset);
       return;
     }
 
-    // Add leaving state to body (triggers content exit animation)
-    document.body.classList.add('is-leaving');
+    setState(STATE.LEAVING, url);
 
-    // Show glitch overlay
-    if (transition) {
-      transition.classList.add('glitch-active');
+    // Skip animation for reduced motion preference, and leave
+    // it to the browser when it runs a view transition
+    if (prefersReducedMotion || usesViewTransition(url, preset)) {
+      leave(url);
+      return;
     }
 
-    // Navigate after glitch animation completes
-    // Timing matches CSS animation duration
-    setTimeout(function () {
-      window.location.href = url;
-    }, 450);
+    // The next page enters with the same preset
+    nextPreset(preset.name);
+
+    // Navigate once the page is covered (unless cancelled)
+    var covered = cover(preset);
+    var id = sequenceId;
+
+    covered.then(function () {
+      if (id === sequenceId) leave(url);
+    });
+  }
+
+  /**
+   * Hand over to the browser's page load
+   *
+   * @param {string} url - The URL to load
+   */
+  function leave(url) {
+    navigating = true;
+    window.location.href = url;
   }
 
 
@@ -206,40 +822,745 @@
      ---------------------------------------------------------
      Handles browser back/forward button navigation.
      Triggers glitch effect when user navigates through
-     browser history.
+     browser history to another page. Entries of the same
+     page (#section hashes, pushed by utils.js) are left to
+     the hash navigation in utils.js.
      --------------------------------------------------------- */
   function handlePopState() {
-    window.addEventListener('popstate', function () {
-      // Add glitching state
-      document.body.classList.add('is-glitching');
+    currentPath = window.location.pathname;
+    window.addEventListener('popstate', onPopState);
+  }
 
-      // Show glitch overlay
-      if (transition) {
-        transition.classList.add('glitch-active');
+  function onPopState() {
+    // Same page, different hash: not a page change
+    if (window.location.pathname === currentPath) return;
+
+    currentPath = window.location.pathname;
+
+    // Whatever was leaving is superseded by the history change
+    if (state === STATE.LEAVING) cancel('navigate');
+
+    // Swap mode: the URL changed but the content didn't yet
+    if (canSwap(window.location.href)) {
+      swapTo(window.location.href, false);
+      return;
+    }
+
+    // The browser animates history navigations itself
+    if (prefersReducedMotion || usesViewTransition(window.location.href)) return;
+
+    setState(STATE.RESTORING, window.location.href);
+    enter(getPreset());
+  }
+
+
+  /* ---------------------------------------------------------
+     SWAP NAVIGATION
+     ---------------------------------------------------------
+     With data-navigation="swap" on <html>, internal links
+     don't reload the page. The target is fetched while the
+     glitch covers the screen, then only <main> and the page
+     metadata in <head> (title, description, canonical, Open
+     Graph/Twitter tags, and inline <style> blocks) are
+     replaced. CSS, fonts and scripts stay loaded.
+
+     - The overlay stays up for as long as the request takes
+       (glitch-loading keeps the interference looping)
+     - The new content is set up through app.js: modules that
+       hold on to the old content are destroyed first, then
+       App.init(newMain) runs every module on the new markup
+     - Back/forward between swapped pages swap again and
+       restore the scroll position
+     - Anything unexpected (network error, non-HTML response,
+       no <main>) falls back to a normal page load
+
+     Elements outside <main> (header, footer, modals placed
+     after </main>) are shared by every page and not swapped.
+     --------------------------------------------------------- */
+
+  // <head> elements that describe the page, replaced on a swap
+  var HEAD_SELECTORS = [
+    'meta[name="description"]',
+    'link[rel="canonical"]',
+    'meta[property^="og:"]',
+    'meta[name^="twitter:"]',
+    'head > style'
+  ];
+
+  // app.js modules bound to elements inside <main>; they are
+  // destroyed before the swap and re-initialized after it
+  var CONTENT_MODULES = ['slider', 'toc', 'forms'];
+
+  /**
+   * Whether a URL can be swapped in instead of loaded
+   *
+   * @param {string} url - Target URL
+   * @returns {boolean}
+   */
+  function canSwap(url) {
+    if (!swapMode || !window.fetch || !window.DOMParser || !window.Promise || !history.pushState) return false;
+
+    var link = document.createElement('a');
+    link.href = url;
+
+    return link.origin === window.location.origin;
+  }
+
+  /**
+   * Request a page's HTML
+   * Rejects for HTTP errors and non-HTML responses
+   *
+   * @param {string} url - Page URL (without hash)
+   * @returns {Promise<Object>} { html, url } (url after redirects)
+   */
+  function requestPage(url) {
+    return fetch(url, {
+      headers: { 'Accept': 'text/html' },
+      credentials: 'same-origin'
+    }).then(function (response) {
+      var type = response.headers.get('Content-Type') || '';
+
+      if (!response.ok || type.indexOf('text/html') === -1) {
+        throw new Error('Not a page: ' + url + ' (' + response.status + ')');
+      }
+
+      return response.text().then(function (html) {
+        return { html: html, url: response.url || url };
+      });
+    });
+  }
+
+  /**
+   * Get a page (cached if it was prefetched or swapped in
+   * before) and parse it
+   * Rejects for failed requests and pages without a <main>
+   *
+   * @param {string} url - Page URL
+   * @returns {Promise<Object>} { doc, url } (url after redirects)
+   */
+  function fetchPage(url) {
+    var key = pageKey(url);
+    var hash = url.indexOf('#') !== -1 ? url.slice(url.indexOf('#')) : '';
+    var request = cachedPage(key);
+
+    if (!request) {
+      request = requestPage(key);
+      cachePage(key, request);
+    }
+
+    return request.then(function (page) {
+      var doc = new DOMParser().parseFromString(page.html, 'text/html');
+
+      if (!doc.querySelector('main')) throw new Error('No <main> in ' + url);
+
+      // Keep the requested hash (response URLs don't have one)
+      return { doc: doc, url: page.url + hash };
+    });
+  }
+
+  /**
+   * Replace the page metadata with the new page's
+   *
+   * @param {Document} doc - Fetched page
+   */
+  function swapHead(doc) {
+    document.title = doc.title;
+
+    HEAD_SELECTORS.forEach(function (selector) {
+      var current = document.head.querySelectorAll(selector);
+      var next = doc.head.querySelectorAll(selector);
+
+      // New elements go where the old ones were (or at the end)
+      var anchor = current.length ? current[0] : null;
+
+      Array.prototype.forEach.call(next, function (node) {
+        document.head.insertBefore(document.importNode(node, true), anchor);
+      });
+
+      Array.prototype.forEach.call(current, function (node) {
+        node.parentNode.removeChild(node);
+      });
+    });
+  }
+
+  /**
+   * Replace <main> with the new page's and set it up
+   *
+   * @param {Document} doc - Fetched page
+   * @returns {Element} The new <main>
+   */
+  function swapMain(doc) {
+    var main = document.querySelector('main');
+    var next = document.importNode(doc.querySelector('main'), true);
+
+    if (window.Modals) window.Modals.closeAll();
+
+    if (window.App) {
+      CONTENT_MODULES.forEach(function (name) {
+        window.App.destroy(name);
+      });
+    }
+
+    main.parentNode.replaceChild(next, main);
+
+    if (window.App) {
+      window.App.init(next);
+
+      // The nav lives outside <main>; point it at the new page
+      var utils = window.App.get('utils');
+      if (utils) utils.markCurrentPage(document);
+    }
+
+    return next;
+  }
+
+  /**
+   * Put the swapped page where a page load would have
+   * The hash target (below the sticky header), the saved
+   * position on back/forward, or the top. Focus moves to the
+   * new content so keyboard and screen reader users start
+   * there instead of on a removed link.
+   *
+   * @param {Element} main - The new <main>
+   * @param {number} scrollY - Position to restore
+   */
+  function placePage(main, scrollY) {
+    var utils = window.App && window.App.get('utils');
+
+    if (window.location.hash && utils && utils.scrollToHash(window.location.hash)) return;
+
+    window.scrollTo(0, scrollY);
+
+    if (!main.hasAttribute('tabindex')) main.setAttribute('tabindex', '-1');
+    main.focus({ preventScroll: true });
+  }
+
+  /**
+   * Fetch a page and swap it in under the overlay
+   *
+   * @param {string} url - Page URL
+   * @param {boolean} push - Add a history entry (false for back/forward,
+   *   where the URL has already changed)
+   * @param {Object} [preset] - Preset to cover/reveal with
+   */
+  function swapTo(url, push, preset) {
+    var id = ++swapId;
+    var page = null;
+    var restoreY = !push && history.state && typeof history.state.scrollY === 'number'
+      ? history.state.scrollY
+      : 0;
+
+    preset = preset || getPreset();
+
+    var morph = usesViewTransition(url, preset);
+
+    // A stuck back/forward swap can't just be called off: the
+    // URL already points to the other page, so load it
+    setState(push ? STATE.LEAVING : STATE.RESTORING, url, push ? null : function () {
+      window.location.reload();
+    });
+
+    // With a view transition the old page stays up until the swap
+    var covered = !prefersReducedMotion && !morph
+      ? cover(preset, true)
+      : Promise.resolve();
+
+    function update() {
+      if (push) {
+        // Back to this entry restores where the page was left
+        var utils = window.App && window.App.get('utils');
+        if (utils) utils.saveScrollState();
+
+        history.pushState({ scrollY: 0 }, '', page.url);
+      }
+      currentPath = window.location.pathname;
+
+      swapHead(page.doc);
+      var main = swapMain(page.doc);
+      placePage(main, restoreY);
+
+      if (window.App) window.App.emit('transition:swap', { url: page.url, main: main });
+    }
+
+    function fallback(err) {
+      if (id !== swapId) return;
+
+      console.error('[page-transition]', 'Falling back to a full page load:', err.message || err);
+
+      // Back/forward already changed the URL; load what it points to
+      if (push) {
+        leave(url);
+      } else {
+        navigating = true;
+        window.location.reload();
+      }
+    }
+
+    // End of a view transition swap
+    function finish() {
+      clearSharedNames();
+      if (id === swapId) settle();
+    }
+
+    Promise.all([
+      fetchPage(url),
+      covered
+    ]).then(function (results) {
+      if (id !== swapId) return;
+
+      page = results[0];
+
+      // Past this point the navigation can't be cancelled
+      setState(STATE.ENTERING, page.url);
+
+      if (morph) {
+        // The browser snapshots the old page, we swap, it animates
+        var viewTransition = document.startViewTransition(update);
+
+        viewTransition.updateCallbackDone.catch(fallback);
+        viewTransition.finished.then(finish, finish);
+        return;
+      }
+
+      update();
+
+      if (prefersReducedMotion) {
+        settle();
+      } else {
+        reveal(preset);
+      }
+    }).catch(fallback);
+  }
+
+
+  /* ---------------------------------------------------------
+     PREFETCHING
+     ---------------------------------------------------------
+     Internal pages are requested before the click: when a
+     link is hovered (briefly), touched or focused, and for
+     project cards (or links with data-prefetch="viewport")
+     when they scroll into view. Swap navigation takes the
+     page straight from this cache; full page loads still
+     benefit from the HTTP cache the request warmed.
+
+     - Same link rules as clicks (isTransitionLink), minus
+       the current page; data-prefetch="off" opts a link out
+     - Keeps the PREFETCH_CACHE_SIZE most recent pages and
+       runs at most PREFETCH_CONCURRENCY requests at once
+     - Off with Save-Data or on 2G connections
+     --------------------------------------------------------- */
+
+  var PREFETCH_CACHE_SIZE = 10;
+  var PREFETCH_CONCURRENCY = 2;
+
+  // Hover time (ms) before a hovered link is prefetched,
+  // so sweeping the pointer across the page doesn't
+  var PREFETCH_HOVER_DELAY = 65;
+
+  // Links prefetched as soon as they are visible
+  var PREFETCH_VIEWPORT = '.slider-track .project-card a[href], a[href][data-prefetch="viewport"]';
+
+  // Page requests by URL ({ html, url } promises), oldest first
+  var pageCache = {};
+  var pageCacheOrder = [];
+
+  // URLs waiting for a free request slot, requests running
+  var prefetchQueue = [];
+  var prefetchActive = 0;
+
+  var hoverTimer = null;
+  var viewportObserver = null;
+
+  /**
+   * Cache key for a URL: absolute, without the hash
+   *
+   * @param {string} url - Any URL
+   * @returns {string}
+   */
+  function pageKey(url) {
+    var link = document.createElement('a');
+    link.href = url;
+
+    return link.href.split('#')[0];
+  }
+
+  function cachedPage(key) {
+    return pageCache.hasOwnProperty(key) ? pageCache[key] : null;
+  }
+
+  /**
+   * Keep a page request, dropping the oldest beyond the limit
+   * Failed requests remove themselves so the next try starts
+   * fresh
+   *
+   * @param {string} key - pageKey() of the URL
+   * @param {Promise} request - requestPage() result
+   */
+  function cachePage(key, request) {
+    uncachePage(key);
+    pageCache[key] = request;
+    pageCacheOrder.push(key);
+
+    while (pageCacheOrder.length > PREFETCH_CACHE_SIZE) {
+      delete pageCache[pageCacheOrder.shift()];
+    }
+
+    request.catch(function () {
+      if (pageCache[key] === request) uncachePage(key);
+    });
+  }
+
+  function uncachePage(key) {
+    var index = pageCacheOrder.indexOf(key);
+
+    if (index !== -1) pageCacheOrder.splice(index, 1);
+    delete pageCache[key];
+  }
+
+  /**
+   * Whether the connection is worth prefetching on
+   *
+   * @returns {boolean}
+   */
+  function prefetchAllowed() {
+    var connection = navigator.connection;
+
+    if (!window.fetch || !window.Promise) return false;
+    if (connection && (connection.saveData || /2g$/.test(connection.effectiveType || ''))) return false;
+
+    return true;
+  }
+
+  /**
+   * Whether a link should be prefetched
+   *
+   * @param {HTMLAnchorElement} link - The link
+   * @returns {boolean}
+   */
+  function isPrefetchable(link) {
+    return isTransitionLink(link) &&
+      link.getAttribute('data-prefetch') !== 'off' &&
+      link.pathname !== window.location.pathname;
+  }
+
+  /**
+   * Queue a page for prefetching
+   *
+   * @param {string} url - Page URL
+   */
+  function prefetch(url) {
+    var key = pageKey(url);
+
+    if (!prefetchAllowed() || cachedPage(key) || prefetchQueue.indexOf(key) !== -1) return;
+
+    prefetchQueue.push(key);
+    nextPrefetch();
+  }
+
+  /**
+   * Start queued prefetches while request slots are free
+   */
+  function nextPrefetch() {
+    while (prefetchActive < PREFETCH_CONCURRENCY && prefetchQueue.length) {
+      var key = prefetchQueue.shift();
+
+      // Requested by a navigation in the meantime
+      if (cachedPage(key)) continue;
+
+      var request = requestPage(key);
+
+      prefetchActive++;
+      cachePage(key, request);
+
+      request.catch(function () {
+        // Failures are dropped; a click simply requests again
+      }).then(function () {
+        prefetchActive--;
+        nextPrefetch();
+      });
+    }
+  }
+
+  /**
+   * Find the prefetchable link an event happened on
+   *
+   * @param {Event} e - mouseover/focusin/touchstart event
+   * @returns {HTMLAnchorElement|null}
+   */
+  function eventLink(e) {
+    var link = e.target.closest ? e.target.closest('a[href]') : null;
+    return link && isPrefetchable(link) ? link : null;
+  }
+
+  function onPrefetchHover(e) {
+    var link = eventLink(e);
+    if (!link) return;
+
+    clearTimeout(hoverTimer);
+    hoverTimer = setTimeout(function () {
+      prefetch(link.href);
+    }, PREFETCH_HOVER_DELAY);
+  }
+
+  function onPrefetchHoverEnd(e) {
+    if (eventLink(e)) clearTimeout(hoverTimer);
+  }
+
+  // Focus and touch are deliberate enough to prefetch right away
+  function onPrefetchIntent(e) {
+    var link = eventLink(e);
+    if (link) prefetch(link.href);
+  }
+
+  /**
+   * Prefetch PREFETCH_VIEWPORT links in root once visible
+   *
+   * @param {Element|Document} root - Subtree to watch
+   */
+  function observeLinks(root) {
+    if (!window.IntersectionObserver || !prefetchAllowed()) return;
+
+    if (!viewportObserver) {
+      viewportObserver = new IntersectionObserver(function (entries) {
+        entries.forEach(function (entry) {
+          if (!entry.isIntersecting) return;
+
+          viewportObserver.unobserve(entry.target);
+          if (isPrefetchable(entry.target)) prefetch(entry.target.href);
+        });
+      });
+    }
+
+    Array.prototype.forEach.call((root || document).querySelectorAll(PREFETCH_VIEWPORT), function (link) {
+      viewportObserver.observe(link);
+    });
+  }
+
+  // catalog.js replaces the static cards once the manifest loads
+  function onCatalogReady() {
+    observeLinks(document);
+  }
+
+  function handlePrefetch() {
+    document.addEventListener('mouseover', onPrefetchHover);
+    document.addEventListener('mouseout', onPrefetchHoverEnd);
+    document.addEventListener('focusin', onPrefetchIntent);
+    document.addEventListener('touchstart', onPrefetchIntent, { passive: true });
+    document.addEventListener('catalog:ready', onCatalogReady);
+  }
+
+
+  /* ---------------------------------------------------------
+     VIEW TRANSITIONS
+     ---------------------------------------------------------
+     Where the browser supports them, navigations between
+     pages of the site are animated by the browser instead of
+     the overlay: full page loads through @view-transition
+     (style.css, section 4), swap navigation through
+     document.startViewTransition(). The glitch then plays on
+     the old and new page snapshots.
+
+     View transitions play the glitch, so they only stand in
+     for the glitch preset. Navigations with another preset
+     run the overlay instead, and the browser's own transition
+     for the page load is skipped (onPageSwap).
+
+     Shared elements morph from one page to the next. The
+     project page names its hero and title in style.css; a
+     project card only gets the same names when it is the one
+     being opened (or returned to), since names must be unique
+     on a page.
+     --------------------------------------------------------- */
+
+  // Card parts and the project page element they morph into
+  var SHARED_ELEMENTS = [
+    { selector: '.project-card-image img', name: 'project-hero' },
+    { selector: '.project-card-title', name: 'project-title' }
+  ];
+
+  // Elements currently carrying a name
+  var namedElements = [];
+
+  /**
+   * Whether navigating to a URL runs a view transition
+   *
+   * @param {string} url - Target URL
+   * @param {Object} [preset] - Preset chosen for the navigation
+   *   (only the glitch has a view transition version)
+   * @returns {boolean}
+   */
+  function usesViewTransition(url, preset) {
+    if (prefersReducedMotion) return false;
+    if (preset && preset.name !== DEFAULT_PRESET) return false;
+    return canSwap(url) ? sameDocumentTransitions : crossDocumentTransitions;
+  }
+
+  /**
+   * Leaving under our own overlay (a preset other than the
+   * glitch): skip the browser's transition, the overlay
+   * already covers the page and the next one plays the
+   * preset's entrance
+   *
+   * @param {PageSwapEvent} e - pageswap event
+   */
+  function onPageSwap(e) {
+    if (e.viewTransition && activePreset) e.viewTransition.skipTransition();
+  }
+
+  /**
+   * Whether this page was just revealed by a view transition
+   * from another page of the site (so the entrance glitch
+   * already happened, on the snapshots)
+   *
+   * @returns {boolean}
+   */
+  function arrivedByViewTransition() {
+    var activation = window.navigation && window.navigation.activation;
+
+    return crossDocumentTransitions && !!activation && !!activation.from &&
+      activation.navigationType !== 'reload';
+  }
+
+  /**
+   * Name the shared parts of the card a link belongs to
+   *
+   * @param {Element} link - Link inside a .project-card
+   */
+  function nameSharedElements(link) {
+    var card = link.closest('.project-card');
+
+    clearSharedNames();
+    if (!card) return;
+
+    SHARED_ELEMENTS.forEach(function (shared) {
+      var el = card.querySelector(shared.selector);
+
+      if (el) {
+        el.style.viewTransitionName = shared.name;
+        namedElements.push(el);
       }
     });
   }
 
+  function clearSharedNames() {
+    namedElements.forEach(function (el) {
+      el.style.viewTransitionName = '';
+    });
+    namedElements = [];
+  }
+
+  /**
+   * Coming back from a project page: name the card for that
+   * project so the hero morphs back into it
+   * (Deferred scripts can run after the first pagereveal of a
+   * fresh load; restores from the back/forward cache always
+   * get here. Without names the page still cross-fades.)
+   *
+   * @param {PageRevealEvent} e - pagereveal event
+   */
+  function onPageReveal(e) {
+    var activation = window.navigation && window.navigation.activation;
+
+    if (!e.viewTransition || !activation || !activation.from) return;
+
+    var from = document.createElement('a');
+    from.href = activation.from.url;
+
+    var links = document.querySelectorAll('.project-card a[href]');
+
+    for (var i = 0; i < links.length; i++) {
+      if (links[i].pathname === from.pathname) {
+        nameSharedElements(links[i]);
+        break;
+      }
+    }
+
+    e.viewTransition.finished.then(clearSharedNames, clearSharedNames);
+  }
+
 
   /* ---------------------------------------------------------
      INITIALIZATION
      ---------------------------------------------------------
-     Wait for DOM to be ready, then initialize all handlers.
-     Uses DOMContentLoaded if document is still loading,
-     otherwise initializes immediately.
+     Registers as the "page-transition" module with app.js,
+     which initializes it when the DOM is ready. Without
+     app.js, waits for DOMContentLoaded itself.
+
+     The handlers are document-wide, so init() binds them
+     once regardless of root (only the viewport prefetching
+     looks at the links in root); destroy() removes them and
+     cancels any running animation.
      --------------------------------------------------------- */
-  if (document.readyState === 'loading') {
-    // DOM not ready yet, wait for it
-    document.addEventListener('DOMContentLoaded', function () {
+  var transitionModule = {
+    init: function (root) {
+      observeLinks(root);
+
+      if (bound) return;
+      bound = true;
+
       init();
       handleNavigation();
       handlePopState();
+      handleLifecycle();
+      handlePrefetch();
+
+      if (crossDocumentTransitions) {
+        window.addEventListener('pagereveal', onPageReveal);
+        window.addEventListener('pageswap', onPageSwap);
+      }
+    },
+    destroy: function () {
+      document.removeEventListener('click', onLinkClick);
+      window.removeEventListener('popstate', onPopState);
+      document.removeEventListener('keydown', onKeydown);
+      window.removeEventListener('pageshow', onPageShow);
+      window.removeEventListener('pagehide', onPageHide);
+
+      document.removeEventListener('mouseover', onPrefetchHover);
+      document.removeEventListener('mouseout', onPrefetchHoverEnd);
+      document.removeEventListener('focusin', onPrefetchIntent);
+      document.removeEventListener('touchstart', onPrefetchIntent, { passive: true });
+      document.removeEventListener('catalog:ready', onCatalogReady);
+      window.removeEventListener('pagereveal', onPageReveal);
+      window.removeEventListener('pageswap', onPageSwap);
+      clearSharedNames();
+
+      clearTimeout(hoverTimer);
+      if (viewportObserver) viewportObserver.disconnect();
+      viewportObserver = null;
+
+      timers.forEach(clearTimeout);
+      timers = [];
+
+      // Ignore any swap in flight and stop the running sequence
+      swapId++;
+      settle();
+
+      bound = false;
+    },
+    navigateTo: navigateTo,
+    cancel: function () { return cancel('api'); },
+    state: function () { return state; },
+    prefetch: prefetch,
+    register: register
+  };
+
+  // Public API for third-party presets
+  window.Transitions = {
+    register: register,
+    names: function () { return Object.keys(presets); }
+  };
+
+  if (window.App) {
+    window.App.register('page-transition', transitionModule);
+  } else if (document.readyState === 'loading') {
+    // DOM not ready yet, wait for it
+    document.addEventListener('DOMContentLoaded', function () {
+      transitionModule.init(document);
     });
   } else {
     // DOM already ready, initialize now
-    init();
-    handleNavigation();
-    handlePopState();
+    transitionModule.init(document);
   }
 
 })();
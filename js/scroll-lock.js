@@ -0,0 +1,169 @@
+/* =========================================================
+   scroll-lock.js
+   Shared, reference-counted page scroll lock
+   =========================================================
+   Author:   Valdez Campos (dez@mediabrilliance.io)
+   Studio:   mediaBrilliance designxtudio
+   Date:     2026-01-17
+   Version:  1.0
+
+   Description:
+   ------------
+   One place that freezes page scrolling behind overlays.
+   Every overlay (mobile nav, modals, lightbox, future
+   drawers) takes the lock under its own key, and the page
+   only scrolls again once every key has been released, so
+   closing one overlay can't unlock the page under another.
+
+   Features:
+   - Reference counted by key; locking a key twice is a no-op
+   - Keeps the scroll position (the body is pinned with
+     position: fixed, which also works on iOS Safari where
+     overflow: hidden on the body is ignored)
+   - Pads the body by the scrollbar width so the layout
+     doesn't shift when the scrollbar disappears; the width
+     is also exposed as --scroll-lock-gap for fixed elements
+     that reach the right edge (style.css: .mobile-menu and
+     the lightbox)
+   - Public API: window.ScrollLock.lock(key),
+     unlock(key), isLocked()
+
+   Usage:
+   ScrollLock.lock('nav');
+   ScrollLock.unlock('nav');
+
+   Dependencies:
+   - None
+   ========================================================= */
+
+(function () {
+  'use strict';
+
+  // Keys currently holding the lock: { key: true }
+  var holders = {};
+
+  // Scroll position and inline body styles from before the lock
+  var saved = null;
+
+  // Body styles the lock overwrites (restored on release)
+  var LOCKED_STYLES = ['overflow', 'position', 'top', 'left', 'right', 'width', 'paddingRight'];
+
+
+  /* ---------------------------------------------------------
+     LOCK / UNLOCK
+     --------------------------------------------------------- */
+
+  /**
+   * Count the keys holding the lock
+   *
+   * @returns {number}
+   */
+  function count() {
+    return Object.keys(holders).length;
+  }
+
+  /**
+   * Take the lock for a key
+   *
+   * @param {string} key - Who is locking (e.g. 'nav', 'modal:contact')
+   */
+  function lock(key) {
+    var wasLocked = count() > 0;
+
+    holders[key] = true;
+    if (!wasLocked) freeze();
+  }
+
+  /**
+   * Release a key's lock; the page scrolls again once no key
+   * holds it
+   *
+   * @param {string} key - The key passed to lock()
+   */
+  function unlock(key) {
+    if (!holders[key]) return;
+
+    delete holders[key];
+    if (!count()) release();
+  }
+
+  /**
+   * Whether any key holds the lock
+   *
+   * @returns {boolean}
+   */
+  function isLocked() {
+    return count() > 0;
+  }
+
+
+  /* ---------------------------------------------------------
+     BODY STYLES
+     ---------------------------------------------------------
+     Pinning the body at -scrollY keeps the page visually in
+     place while it can't scroll; releasing scrolls straight
+     back to the same spot.
+     --------------------------------------------------------- */
+  function freeze() {
+    var body = document.body;
+    var root = document.documentElement;
+
+    // Measure before anything changes
+    var scrollbar = window.innerWidth - root.clientWidth;
+    var padding = parseFloat(getComputedStyle(body).paddingRight) || 0;
+
+    saved = {
+      x: window.pageXOffset,
+      y: window.pageYOffset,
+      styles: {}
+    };
+
+    LOCKED_STYLES.forEach(function (prop) {
+      saved.styles[prop] = body.style[prop];
+    });
+
+    body.style.overflow = 'hidden';
+    body.style.position = 'fixed';
+    body.style.top = -saved.y + 'px';
+    body.style.left = '0';
+    body.style.right = '0';
+    body.style.width = '100%';
+
+    // Keep content where it was now that the scrollbar is gone
+    if (scrollbar > 0) {
+      body.style.paddingRight = padding + scrollbar + 'px';
+      root.style.setProperty('--scroll-lock-gap', scrollbar + 'px');
+    }
+  }
+
+  function release() {
+    var body = document.body;
+    var root = document.documentElement;
+
+    if (!saved) return;
+
+    LOCKED_STYLES.forEach(function (prop) {
+      body.style[prop] = saved.styles[prop];
+    });
+    root.style.removeProperty('--scroll-lock-gap');
+
+    // Jump back instantly, even if the site uses smooth scrolling
+    var behavior = root.style.scrollBehavior;
+    root.style.scrollBehavior = 'auto';
+    window.scrollTo(saved.x, saved.y);
+    root.style.scrollBehavior = behavior;
+
+    saved = null;
+  }
+
+
+  /* ---------------------------------------------------------
+     PUBLIC API
+     --------------------------------------------------------- */
+  window.ScrollLock = {
+    lock: lock,
+    unlock: unlock,
+    isLocked: isLocked
+  };
+
+})();
@@ -13,282 +13,2039 @@
    portfolio section. Supports multiple input methods for
    broad device compatibility.
 
+   Every .slider-container on the page gets its own Slider
+   instance, so several carousels can live side by side
+   (e.g. "Selected Work" plus a "Related projects" strip).
+
    Features:
    - Button navigation (prev/next)
-   - Mouse drag support
-   - Touch swipe support
-   - Keyboard navigation (arrow keys)
-   - Responsive card sizing
+   - Pointer Events drag for mouse, touch and pen
+   - Flick momentum across several cards
+   - Rubber-band resistance past the first/last card
+   - Vertical swipes scroll the page (direction lock)
+   - Trackpad swipes and shift+wheel scroll the cards, then
+     snap once the gesture settles
+   - Carousel semantics, pagination dots, a polite live
+     region and edge-aware prev/next buttons
+   - Cards scrolled fully out of view are inert so Tab skips
+     them; a partly shown card stays clickable
+   - Position remembered across page loads (sessionStorage)
+   - Deep links such as /?work=void-protocol
+   - Optional category filter chips built from the cards'
+     .project-card-category, mirrored in the URL
+   - Keyboard navigation while focus is inside the slider:
+     arrows, Home/End, PageUp/PageDown, roving tabindex
+   - Measures every card's real offset, so mixed-width
+     cards (portrait art next to landscape UI) line up
+   - ResizeObserver keeps offsets fresh when the container
+     or a card changes size (fonts, images, layout)
+   - dir="rtl" support: mirrored drag, keys and buttons
    - Smooth CSS transitions
+   - Optional infinite loop (cloned cards, no visible jump)
+   - Optional autoplay (pauses on hover, focus, drag, hidden
+     tab; never runs with prefers-reduced-motion)
+   - Public API: goTo(), next(), prev(), play(), pause(),
+     refresh(), destroy()
+   - DOM events: slider:change, slider:dragstart, slider:dragend,
+     slider:filter (also sent on the app.js event bus)
+   - Registers as the "slider" module with app.js
+
+   Options (data attributes on .slider-container):
+   - data-slider-gap="24"        Gap between cards in px
+                                 (defaults to the track's CSS gap)
+   - data-slider-threshold=".25" Fraction of a card width a drag
+                                 must travel to change slides
+   - data-slider-start="0"       Index to start on
+   - data-slider-loop            Wrap around past either end
+   - data-slider-autoplay="5000" Advance automatically every N ms
+                                 (no value = 5000)
+   - data-slider-pagination="false" Skip the generated dots
+   - data-slider-remember="false"   Don't restore the last position
+   - data-slider-param="work"    Query parameter holding the slug of
+                                 the card in view (read on load,
+                                 updated on change)
+   - data-slider-filter="category" Build filter chips; the value is
+                                 the query parameter for the active
+                                 filter (no value = "category")
+   - data-slider-defer           Skip auto-init; another script
+                                 calls new Slider() when cards exist
+                                 (starts anyway if nothing has after
+                                 DEFER_TIMEOUT, so the static cards
+                                 still slide if that script fails)
+
+   Dependencies:
+   - Requires .slider-container > .slider-track with .project-card children
+   - Optional [data-slider="prev"] and [data-slider="next"] buttons
+     inside the same section as the container
+   - Requires corresponding CSS in style.css
+   - Optional app.js (window.App) module registry
+   ========================================================= */
+
+(function () {
+  'use strict';
+
+  /* ---------------------------------------------------------
+     DEFAULT OPTIONS
+     ---------------------------------------------------------
+     Used when neither the constructor nor the container's
+     data attributes provide a value.
+     --------------------------------------------------------- */
+  var DEFAULTS = {
+    gap: null,         // null = read from the track's CSS gap
+    threshold: 0.25,   // Fraction of card width needed to change slides
+    start: 0,          // Initial slide index
+    loop: false,       // Wrap around past either end
+    autoplay: 0,       // Autoplay interval in ms (0 = off)
+    pagination: true,  // Generate pagination dots
+    remember: true,    // Restore the last position on page load
+    param: null,       // Query parameter for deep links (e.g. "work")
+    filter: null       // Query parameter for the category filter
+  };
+
+  // Cards that take part in layout: real (not loop clones) and not filtered out
+  var CARD_SELECTOR = '.project-card:not(.is-clone):not([hidden])';
+
+  // Grace (ms) past a filter animation's computed length before
+  // a missing animationend is given up on
+  var FILTER_END_SLACK = 100;
+
+  // sessionStorage key prefix for remembered positions
+  var STORAGE_PREFIX = 'slider:';
+
+  // Interval used when data-slider-autoplay has no value
+  var AUTOPLAY_INTERVAL = 5000;
+
+  // ms a data-slider-defer container waits for its owner
+  var DEFER_TIMEOUT = 3000;
+
+  /*
+   * Drag tuning
+   * AXIS_LOCK:      px of movement before the gesture direction is decided
+   * FLICK_VELOCITY: px/ms release speed that always changes at least one card
+   * MOMENTUM:       ms of release velocity projected onto the drag distance
+   * VELOCITY_WINDOW: ms of recent samples used to measure release speed
+   * RESISTANCE:     Rubber-band stiffness past the edges (lower = stiffer)
+   */
+  var AXIS_LOCK = 6;
+  var FLICK_VELOCITY = 0.4;
+  var MOMENTUM = 300;
+  var VELOCITY_WINDOW = 100;
+  var RESISTANCE = 0.55;
+
+  /*
+   * Wheel tuning
+   * WHEEL_SETTLE: ms without wheel events before the gesture snaps
+   *               (long enough to span a trackpad's inertia events)
+   * WHEEL_LINE:   px per line for wheels that report in lines
+   */
+  var WHEEL_SETTLE = 150;
+  var WHEEL_LINE = 16;
+
+  // Autoplay never runs for users who prefer reduced motion
+  var reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+  // All live instances, used by Slider.get() and auto-init
+  var instances = [];
+
+  // Counter for generated ids (aria-controls targets)
+  var uid = 0;
+
+  // Pending fallback start for deferred containers
+  var deferTimer = null;
+
+
+  /* ---------------------------------------------------------
+     OPTION PARSING
+     ---------------------------------------------------------
+     Merge explicit options over data attributes over
+     defaults. Invalid numbers fall back to the default.
+     --------------------------------------------------------- */
+
+  /**
+   * Read a numeric data attribute from an element
+   *
+   * @param {Element} el - Element holding the attribute
+   * @param {string} name - Attribute name (without "data-")
+   * @returns {number|undefined} Parsed value, or undefined if missing/invalid
+   */
+  function readNumber(el, name) {
+    var value = parseFloat(el.getAttribute('data-' + name));
+    return isNaN(value) ? undefined : value;
+  }
+
+  /**
+   * Read a boolean data attribute from an element
+   * Present (with no value or any value but "false") means true
+   *
+   * @param {Element} el - Element holding the attribute
+   * @param {string} name - Attribute name (without "data-")
+   * @returns {boolean|undefined} Parsed value, or undefined if missing
+   */
+  function readBoolean(el, name) {
+    if (!el.hasAttribute('data-' + name)) return undefined;
+    return el.getAttribute('data-' + name) !== 'false';
+  }
+
+  /**
+   * Read the autoplay interval from an element
+   * A bare attribute uses the default interval
+   *
+   * @param {Element} el - Element holding the attribute
+   * @returns {number|undefined} Interval in ms, or undefined if missing
+   */
+  function readAutoplay(el) {
+    if (!el.hasAttribute('data-slider-autoplay')) return undefined;
+    if (el.getAttribute('data-slider-autoplay') === 'false') return 0;
+    return readNumber(el, 'slider-autoplay') || AUTOPLAY_INTERVAL;
+  }
+
+  /**
+   * Read the filter parameter name from an element
+   * A bare attribute uses "category"
+   *
+   * @param {Element} el - Element holding the attribute
+   * @returns {string|null|undefined} Parameter name, null if "false", undefined if missing
+   */
+  function readFilter(el) {
+    if (!el.hasAttribute('data-slider-filter')) return undefined;
+
+    var value = el.getAttribute('data-slider-filter');
+    if (value === 'false') return null;
+    return value || 'category';
+  }
+
+  /**
+   * Build the final option set for an instance
+   *
+   * @param {Element} container - The .slider-container element
+   * @param {Object} [options] - Options passed to the constructor
+   * @returns {Object} Resolved options
+   */
+  function resolveOptions(container, options) {
+    var fromData = {
+      gap: readNumber(container, 'slider-gap'),
+      threshold: readNumber(container, 'slider-threshold'),
+      start: readNumber(container, 'slider-start'),
+      loop: readBoolean(container, 'slider-loop'),
+      autoplay: readAutoplay(container),
+      pagination: readBoolean(container, 'slider-pagination'),
+      remember: readBoolean(container, 'slider-remember'),
+      param: container.getAttribute('data-slider-param') || undefined,
+      filter: readFilter(container)
+    };
+    var resolved = {};
+
+    options = options || {};
+
+    Object.keys(DEFAULTS).forEach(function (key) {
+      if (options[key] !== undefined) {
+        resolved[key] = options[key];
+      } else if (fromData[key] !== undefined) {
+        resolved[key] = fromData[key];
+      } else {
+        resolved[key] = DEFAULTS[key];
+      }
+    });
+
+    return resolved;
+  }
+
+
+  /* ---------------------------------------------------------
+     SLIDER CONSTRUCTOR
+     ---------------------------------------------------------
+     Creates one slider bound to a single .slider-container.
+     All DOM references and state live on the instance so
+     multiple sliders never share variables.
+
+     @param {Element} container - The .slider-container element
+     @param {Object} [options] - Overrides for data attributes
+     --------------------------------------------------------- */
+  function Slider(container, options) {
+    // Allow calling without "new"
+    if (!(this instanceof Slider)) return new Slider(container, options);
+
+    // Return the existing instance instead of binding twice
+    var existing = Slider.get(container);
+    if (existing) return existing;
+
+    this.container = container;
+    this.track = container.querySelector('.slider-track');
+    this.options = resolveOptions(container, options);
+
+    // Navigation buttons live in the section header, not the container
+    var scope = container.closest('section') || container.parentElement;
+    this.prevBtn = scope ? scope.querySelector('[data-slider="prev"]') : null;
+    this.nextBtn = scope ? scope.querySelector('[data-slider="next"]') : null;
+
+    // Dimension state
+    this.cards = [];
+    this.offsets = [];        // Start edge of every track slot (px, incl. clones)
+    this.widths = [];         // Width of every track slot (px)
+    this.viewport = 0;        // Visible track width (px)
+    this.maxScroll = 0;       // Furthest the track may move (px, no loop)
+    this.dir = 1;             // 1 = LTR, -1 = RTL
+    this.currentIndex = 0;    // Current slide position (0-based)
+    this.maxIndex = 0;        // Maximum slide index
+    this.pendingIndex = null; // Restored index, re-applied until layout settles
+
+    // Filter state
+    this.filter = '';         // Active category slug ('' = all)
+    this.filterBar = null;    // Generated chip group
+    this.filterTimer = null;  // Fallback end of the filter-out animation
+    this.filterEnd = null;    // Its animationend listener
+    this.filterLeaving = [];  // Cards animating out
+    this.filterEntering = []; // Cards to reveal once they're gone
+    this.filterReady = false; // False while the URL filter is applied on init
+
+    // Accessibility elements (created in setupA11y)
+    this.liveRegion = null;   // Polite "slide 3 of 6" announcer
+    this.dots = null;         // Pagination dot group
+    this.a11yAttrs = [];      // [element, attribute] pairs we added
+    this.focusIndex = 0;      // Card holding the roving tabindex
+
+    // Loop state
+    this.clones = [];         // Cloned cards padding both ends
+    this.cloneCount = 0;      // Clones before the first real card
+    this.position = 0;        // Track slot shown (includes clones)
+
+    // Autoplay state
+    this.autoplayTimer = null;
+    this.pauseReasons = {};   // Active reasons autoplay is held
+    this.isTicking = false;   // True while autoplay is advancing
+
+    // Drag interaction state
+    this.isDragging = false;  // Is a pointer down on the track?
+    this.pointerId = null;    // Pointer being tracked
+    this.dragAxis = null;     // null until decided, then 'x' or 'y'
+    this.startX = 0;          // X position where drag started
+    this.startY = 0;          // Y position where drag started
+    this.currentX = 0;        // Current X position during drag
+    this.samples = [];        // Recent { x, t } for release velocity
+    this.scroll = 0;          // Current scroll from the start edge (px)
+
+    // Wheel gesture state
+    this.isWheeling = false;  // Is a wheel gesture in progress?
+    this.wheelOffset = 0;     // Accumulated scroll toward the end (px)
+    this.wheelTimer = null;   // Fires once the gesture settles
+
+    this.resizeTimer = null;
+    this.resizeObserver = null;
+
+    var self = this;
+
+    // Bind handlers once so destroy() can remove them
+    this.handlers = {
+      prev: this.prev.bind(this),
+      next: this.next.bind(this),
+      transitionEnd: this.onTransitionEnd.bind(this),
+      tick: this.onAutoplayTick.bind(this),
+      mouseEnter: function () { self.holdAutoplay('hover', true); },
+      mouseLeave: function () { self.holdAutoplay('hover', false); },
+      focusIn: function () { self.holdAutoplay('focus', true); },
+      focusOut: function (e) {
+        // Only resume once focus has left the slider entirely
+        if (!self.container.contains(e.relatedTarget)) self.holdAutoplay('focus', false);
+      },
+      visibility: function () { self.holdAutoplay('hidden', document.hidden); },
+      motion: function () { self.scheduleAutoplay(); },
+      keydown: this.onKeydown.bind(this),
+      dragStart: this.onDragStart.bind(this),
+      dragMove: this.onDragMove.bind(this),
+      dragEnd: this.onDragEnd.bind(this),
+      nativeDrag: function (e) { e.preventDefault(); },
+      wheel: this.onWheel.bind(this),
+      dotClick: this.onDotClick.bind(this),
+      chipClick: this.onChipClick.bind(this),
+      resize: this.onResize.bind(this),
+      load: this.onLoad.bind(this)
+    };
+
+    if (!this.track) return;
+
+    this.setupA11y();
+    this.bindEvents();
+    this.refresh();
+
+    // Jump to the deep-linked, remembered or configured start
+    // slide without animating. Kept as pending so a layout change
+    // before images load can't clamp it away for good
+    // The filter comes first because it changes which cards count
+    this.setupFilters();
+    this.pendingIndex = this.resolveStartIndex();
+    this.applyPendingIndex();
+
+    instances.push(this);
+
+    this.holdAutoplay('hidden', document.hidden);
+  }
+
+
+  /* ---------------------------------------------------------
+     STATIC HELPERS
+     --------------------------------------------------------- */
+
+  /**
+   * Find the instance bound to a container
+   *
+   * @param {Element} container - The .slider-container element
+   * @returns {Slider|null} The instance, or null if none
+   */
+  Slider.get = function (container) {
+    for (var i = 0; i < instances.length; i++) {
+      if (instances[i].container === container) return instances[i];
+    }
+    return null;
+  };
+
+  /**
+   * Create an instance for every .slider-container in a root
+   * Containers marked data-slider-defer are skipped; whatever
+   * fills them (e.g. catalog.js) calls new Slider() itself
+   *
+   * @param {ParentNode} [root=document] - Where to look for sliders
+   * @returns {Slider[]} The instances (new or existing)
+   */
+  Slider.initAll = function (root) {
+    var containers = (root || document).querySelectorAll('.slider-container:not([data-slider-defer])');
+    return Array.prototype.map.call(containers, function (container) {
+      return new Slider(container);
+    });
+  };
+
+  /**
+   * Start deferred containers that nothing has claimed after
+   * DEFER_TIMEOUT (the script meant to fill them is missing,
+   * threw, or is still waiting on the network); a late owner
+   * finds the instance through Slider.get() and replaces it
+   *
+   * @param {ParentNode} [root=document] - Where to look for sliders
+   */
+  function watchDeferred(root) {
+    var containers = (root || document).querySelectorAll('.slider-container[data-slider-defer]');
+    if (!containers.length) return;
+
+    clearTimeout(deferTimer);
+    deferTimer = setTimeout(function () {
+      deferTimer = null;
+
+      Array.prototype.forEach.call(containers, function (container) {
+        if (!container.isConnected || Slider.get(container)) return;
+
+        console.warn('[slider]', 'Deferred slider not started after ' + DEFER_TIMEOUT + 'ms, starting it with the current cards.');
+        new Slider(container);
+      });
+    }, DEFER_TIMEOUT);
+  }
+
+
+  /* ---------------------------------------------------------
+     EVENT BINDING
+     ---------------------------------------------------------
+     Attach every listener the instance needs. Mirrored by
+     unbindEvents() for destroy().
+     --------------------------------------------------------- */
+  Slider.prototype.bindEvents = function () {
+    var h = this.handlers;
+    var track = this.track;
+
+    // Button navigation
+    if (this.prevBtn) this.prevBtn.addEventListener('click', h.prev);
+    if (this.nextBtn) this.nextBtn.addEventListener('click', h.next);
+
+    // Keyboard navigation (only while focus is inside the slider)
+    this.container.addEventListener('keydown', h.keydown);
+
+    // Pointer events (mouse, touch and pen)
+    // Move/up listen on window so a drag that leaves the track
+    // before pointer capture kicks in is still tracked
+    track.addEventListener('pointerdown', h.dragStart);
+    window.addEventListener('pointermove', h.dragMove);
+    window.addEventListener('pointerup', h.dragEnd);
+    window.addEventListener('pointercancel', h.dragEnd);
+
+    // Stop the browser's native image/link drag from hijacking the pointer
+    track.addEventListener('dragstart', h.nativeDrag);
+
+    // Trackpad / wheel; not passive so horizontal gestures can stop
+    // the browser's back/forward swipe
+    track.addEventListener('wheel', h.wheel, { passive: false });
+
+    // Loop wrap-around once the slide animation settles
+    track.addEventListener('transitionend', h.transitionEnd);
+
+    // Autoplay pause conditions
+    if (this.options.autoplay) {
+      this.container.addEventListener('mouseenter', h.mouseEnter);
+      this.container.addEventListener('mouseleave', h.mouseLeave);
+      this.container.addEventListener('focusin', h.focusIn);
+      this.container.addEventListener('focusout', h.focusOut);
+      document.addEventListener('visibilitychange', h.visibility);
+      if (reducedMotionQuery.addEventListener) {
+        reducedMotionQuery.addEventListener('change', h.motion);
+      }
+    }
+
+    // Layout changes: container/card sizes where supported,
+    // window size otherwise
+    if (window.ResizeObserver) {
+      this.resizeObserver = new ResizeObserver(h.resize);
+    } else {
+      window.addEventListener('resize', h.resize);
+    }
+    window.addEventListener('load', h.load);
+  };
+
+  Slider.prototype.unbindEvents = function () {
+    var h = this.handlers;
+    var track = this.track;
+
+    if (this.prevBtn) this.prevBtn.removeEventListener('click', h.prev);
+    if (this.nextBtn) this.nextBtn.removeEventListener('click', h.next);
+
+    this.container.removeEventListener('keydown', h.keydown);
+
+    track.removeEventListener('pointerdown', h.dragStart);
+    window.removeEventListener('pointermove', h.dragMove);
+    window.removeEventListener('pointerup', h.dragEnd);
+    window.removeEventListener('pointercancel', h.dragEnd);
+
+    track.removeEventListener('dragstart', h.nativeDrag);
+    track.removeEventListener('wheel', h.wheel, { passive: false });
+
+    track.removeEventListener('transitionend', h.transitionEnd);
+
+    this.container.removeEventListener('mouseenter', h.mouseEnter);
+    this.container.removeEventListener('mouseleave', h.mouseLeave);
+    this.container.removeEventListener('focusin', h.focusIn);
+    this.container.removeEventListener('focusout', h.focusOut);
+    document.removeEventListener('visibilitychange', h.visibility);
+    if (reducedMotionQuery.removeEventListener) {
+      reducedMotionQuery.removeEventListener('change', h.motion);
+    }
+
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect();
+      this.resizeObserver = null;
+    }
+    window.removeEventListener('resize', h.resize);
+    window.removeEventListener('load', h.load);
+  };
+
+
+  /* ---------------------------------------------------------
+     EVENT EMITTER
+     ---------------------------------------------------------
+     Dispatch a bubbling CustomEvent from the container so
+     other scripts can listen on the container or document.
+
+     @param {string} name - Event name (e.g. "slider:change")
+     @param {Object} [detail] - Extra data for event.detail
+     --------------------------------------------------------- */
+  Slider.prototype.emit = function (name, detail) {
+    detail = detail || {};
+    detail.slider = this;
+    detail.index = this.currentIndex;
+
+    this.container.dispatchEvent(new CustomEvent(name, {
+      bubbles: true,
+      detail: detail
+    }));
+
+    // Mirror on the site-wide bus (app.js) for listeners without a DOM hook
+    if (window.App) window.App.emit(name, detail);
+  };
+
+
+  /* ---------------------------------------------------------
+     DIMENSION CALCULATIONS
+     ---------------------------------------------------------
+     Re-read the cards and measure where each one actually
+     sits, so cards of different widths line up exactly.
+     Offsets are "logical": measured from the start edge of
+     the track (left in LTR, right in RTL), so the rest of
+     the slider never needs to know the direction.
+     Called on init, on container/card resize and whenever
+     cards are added or removed (via refresh()).
+     --------------------------------------------------------- */
+  Slider.prototype.calculateDimensions = function () {
+    var track = this.track;
+
+    // Clones are layout padding for loop mode, never real cards
+    this.cards = track.querySelectorAll(CARD_SELECTOR);
+
+    // Explicit gap option overrides the stylesheet
+    if (this.options.gap !== null) track.style.gap = this.options.gap + 'px';
+
+    this.dir = getComputedStyle(this.container).direction === 'rtl' ? -1 : 1;
+    this.measure();
+
+    // Exit if no cards exist
+    if (this.cards.length === 0) {
+      this.maxIndex = 0;
+      return;
+    }
+
+    // Max index is the first card whose offset reaches the end
+    // of the content; later cards can't lead without a gap, so
+    // the last slide shows the remaining cards.
+    // In loop mode clones fill the gap, so every card can lead
+    if (this.options.loop) {
+      this.maxIndex = this.cards.length - 1;
+    } else {
+      this.maxIndex = this.cards.length - 1;
+
+      for (var i = 0; i < this.cards.length; i++) {
+        if (this.offsets[i] >= this.maxScroll - 1) {
+          this.maxIndex = i;
+          break;
+        }
+      }
+    }
+
+    // Restored index wins until the layout settles
+    if (this.pendingIndex !== null) {
+      this.applyPendingIndex();
+      return;
+    }
+
+    // Clamp current index if the container got smaller
+    if (this.currentIndex > this.maxIndex) {
+      this.currentIndex = this.maxIndex;
+      this.position = this.currentIndex + this.cloneCount;
+      this.updatePosition(false); // Update without animation
+    }
+  };
+
+  /**
+   * Measure offset and width of every track slot (clones included)
+   * The track is position: relative, so offsetLeft is relative
+   * to it and unaffected by the transform or card hover lift
+   */
+  Slider.prototype.measure = function () {
+    var track = this.track;
+    var trackWidth = track.offsetWidth;
+    var rtl = this.dir === -1;
+    var slots = track.querySelectorAll('.project-card:not([hidden])');
+
+    this.offsets = [];
+    this.widths = [];
+
+    Array.prototype.forEach.call(slots, function (slot) {
+      var width = slot.offsetWidth;
+      this.offsets.push(rtl ? trackWidth - slot.offsetLeft - width : slot.offsetLeft);
+      this.widths.push(width);
+    }, this);
+
+    this.viewport = track.clientWidth;
+
+    var last = this.offsets.length - 1;
+    var contentEnd = last >= 0 ? this.offsets[last] + this.widths[last] : 0;
+
+    this.maxScroll = Math.max(0, contentEnd - this.viewport);
+  };
+
+  /**
+   * Scroll distance that puts a track slot at the start edge
+   * Without loop mode it stops at the end of the content, so
+   * the last slide is flush with the container edge
+   *
+   * @param {number} position - Track slot (includes clones)
+   * @returns {number} Scroll from the start edge (px)
+   */
+  Slider.prototype.scrollFor = function (position) {
+    var offset = this.offsets[position] || 0;
+    return this.options.loop && this.cloneCount ? offset : Math.min(offset, this.maxScroll);
+  };
+
+  /**
+   * Track slot whose resting scroll is closest to a scroll value
+   *
+   * @param {number} scroll - Scroll from the start edge (px)
+   * @returns {number} Track slot (includes clones)
+   */
+  Slider.prototype.nearestPosition = function (scroll) {
+    var last = this.options.loop && this.cloneCount ? this.offsets.length - 1 : this.maxIndex;
+    var best = this.position;
+    var bestDistance = Infinity;
+
+    for (var p = 0; p <= last; p++) {
+      var distance = Math.abs(this.scrollFor(p) - scroll);
+      if (distance < bestDistance) {
+        best = p;
+        bestDistance = distance;
+      }
+    }
+
+    return best;
+  };
+
+  /**
+   * Start watching the container and every card for size
+   * changes. Called from refresh() as the card set changes
+   */
+  Slider.prototype.observeSizes = function () {
+    var observer = this.resizeObserver;
+    if (!observer) return;
+
+    observer.disconnect();
+    observer.observe(this.container);
+    Array.prototype.forEach.call(this.cards, function (card) {
+      observer.observe(card);
+    });
+  };
+
+
+  /* ---------------------------------------------------------
+     LOOP CLONES
+     ---------------------------------------------------------
+     Loop mode pads the track with a full copy of the cards on
+     each side. Moving past an end animates onto a clone, then
+     silently jumps to the matching real card once the
+     transition ends, so the wrap is never visible.
+     --------------------------------------------------------- */
+
+  /**
+   * Remove any existing clones and, in loop mode, add new ones
+   * Called from refresh() so clones always match the real cards
+   */
+  Slider.prototype.buildClones = function () {
+    var track = this.track;
+
+    this.clones.forEach(function (clone) {
+      track.removeChild(clone);
+    });
+    this.clones = [];
+    this.cloneCount = 0;
+
+    var cards = Array.prototype.slice.call(track.querySelectorAll(CARD_SELECTOR));
+    if (!this.options.loop || cards.length < 2) return;
+
+    var first = cards[0];
+    var self = this;
+
+    cards.forEach(function (card) {
+      track.insertBefore(self.createClone(card), first);
+      track.appendChild(self.createClone(card));
+    });
+
+    this.cloneCount = cards.length;
+  };
+
+  /**
+   * Copy a card as an inert, hidden-from-AT clone
+   *
+   * @param {Element} card - The real card to copy
+   * @returns {Element} The clone
+   */
+  Slider.prototype.createClone = function (card) {
+    var clone = card.cloneNode(true);
+
+    clone.classList.add('is-clone');
+    clone.setAttribute('aria-hidden', 'true');
+    clone.removeAttribute('id');
+
+    // Keep clones out of the tab order
+    Array.prototype.forEach.call(clone.querySelectorAll('a, button'), function (el) {
+      el.setAttribute('tabindex', '-1');
+    });
+
+    this.clones.push(clone);
+    return clone;
+  };
+
+  /**
+   * Jump from a clone back to the matching real card
+   * Runs without animation so the swap is invisible
+   */
+  Slider.prototype.normalizePosition = function () {
+    var realPosition = this.currentIndex + this.cloneCount;
+
+    if (this.position !== realPosition) {
+      this.position = realPosition;
+      this.updatePosition(false);
+    }
+  };
+
+  Slider.prototype.onTransitionEnd = function (e) {
+    if (e.target === this.track && e.propertyName === 'transform') {
+      this.normalizePosition();
+    }
+  };
+
+  /**
+   * Keep an index inside the navigable range
+   *
+   * @param {number} index - Requested index
+   * @returns {number} Index between 0 and maxIndex
+   */
+  Slider.prototype.clamp = function (index) {
+    return Math.max(0, Math.min(this.maxIndex, Math.round(index) || 0));
+  };
+
+
+  /* ---------------------------------------------------------
+     POSITION UPDATE
+     ---------------------------------------------------------
+     Updates the slider track's transform position.
+     Optionally animates the transition.
+
+     @param {boolean} animate - Whether to use CSS transition
+     --------------------------------------------------------- */
+  Slider.prototype.updatePosition = function (animate) {
+    // Default to animated transition
+    if (animate === undefined) animate = true;
+
+    // Look up the measured offset of the current track slot
+    this.scroll = this.scrollFor(this.position);
+
+    // Toggle transition class for animation control
+    if (animate) {
+      this.track.classList.remove('is-dragging');
+    } else {
+      this.track.classList.add('is-dragging');
+    }
+
+    // Apply the transform
+    this.render(this.scroll);
+
+    // Keep buttons, dots and inert cards in sync with the index
+    this.updateA11y();
+  };
+
+  /**
+   * Move the track to a scroll value
+   * The track moves against the reading direction: left in
+   * LTR, right in RTL
+   *
+   * @param {number} scroll - Scroll from the start edge (px)
+   */
+  Slider.prototype.render = function (scroll) {
+    this.track.style.transform = 'translateX(' + (-this.dir * scroll) + 'px)';
+  };
+
+
+  /* ---------------------------------------------------------
+     ACCESSIBILITY
+     ---------------------------------------------------------
+     Follows the WAI-ARIA carousel pattern:
+     - Container is a region with aria-roledescription="carousel"
+     - Each card is a group labelled "3 of 6" (roledescription "slide")
+     - A polite live region announces manual slide changes
+       (silenced while autoplay runs, so it never chatters)
+     - Prev/next get aria-disabled at the edges
+     - Cards entirely outside the viewport are inert, so Tab
+       only reaches links that are actually on screen; a card
+       peeking in at the edge stays clickable (roving tabindex
+       keeps it out of the tab order)
+     --------------------------------------------------------- */
+
+  /**
+   * Set an attribute only if the markup didn't provide one,
+   * remembering it so teardownA11y() can remove it again
+   *
+   * @param {Element} el - Target element
+   * @param {string} name - Attribute name
+   * @param {string} value - Attribute value
+   */
+  Slider.prototype.setDefaultAttr = function (el, name, value) {
+    if (!el || el.hasAttribute(name)) return;
+    el.setAttribute(name, value);
+    this.a11yAttrs.push([el, name]);
+  };
+
+  /**
+   * Add carousel roles, labels and the live region
+   * Runs once per instance
+   */
+  Slider.prototype.setupA11y = function () {
+    var container = this.container;
+    var scope = container.closest('section');
+    var title = scope ? scope.querySelector('.section-title, h2') : null;
+
+    this.setDefaultAttr(container, 'role', 'region');
+    this.setDefaultAttr(container, 'aria-roledescription', 'carousel');
+
+    // Label the carousel from the section heading when possible
+    if (title) {
+      if (!title.id) {
+        title.id = 'slider-title-' + (++uid);
+        this.a11yAttrs.push([title, 'id']);
+      }
+      this.setDefaultAttr(container, 'aria-labelledby', title.id);
+    } else {
+      this.setDefaultAttr(container, 'aria-label', 'Carousel');
+    }
+
+    // Buttons point at the track they control
+    if (!this.track.id) {
+      this.track.id = 'slider-track-' + (++uid);
+      this.a11yAttrs.push([this.track, 'id']);
+    }
+    this.setDefaultAttr(this.prevBtn, 'aria-controls', this.track.id);
+    this.setDefaultAttr(this.nextBtn, 'aria-controls', this.track.id);
+
+    // Visually hidden announcer
+    this.liveRegion = document.createElement('div');
+    this.liveRegion.className = 'sr-only';
+    this.liveRegion.setAttribute('aria-live', 'polite');
+    this.liveRegion.setAttribute('aria-atomic', 'true');
+    container.appendChild(this.liveRegion);
+  };
+
+  /**
+   * Give every real card its slide role and "N of total" label
+   * Called from refresh() because the card list can change
+   */
+  Slider.prototype.labelSlides = function () {
+    var total = this.cards.length;
+
+    Array.prototype.forEach.call(this.cards, function (card, i) {
+      card.setAttribute('role', 'group');
+      card.setAttribute('aria-roledescription', 'slide');
+      card.setAttribute('aria-label', (i + 1) + ' of ' + total);
+    });
+  };
+
+  /**
+   * Rebuild the pagination dots (one per reachable position)
+   * Called from refresh() because maxIndex can change
+   */
+  Slider.prototype.buildDots = function () {
+    if (!this.options.pagination) return;
+
+    var count = this.maxIndex + 1;
+
+    if (!this.dots) {
+      this.dots = document.createElement('div');
+      this.dots.className = 'slider-dots';
+      this.dots.setAttribute('role', 'group');
+      this.dots.setAttribute('aria-label', 'Choose slide');
+      this.dots.addEventListener('click', this.handlers.dotClick);
+      this.container.parentNode.insertBefore(this.dots, this.container.nextSibling);
+    }
+
+    // Nothing to paginate when every card already fits
+    this.dots.hidden = count < 2;
+
+    if (this.dots.children.length === count) return;
+
+    this.dots.innerHTML = '';
+
+    for (var i = 0; i < count; i++) {
+      var dot = document.createElement('button');
+      dot.type = 'button';
+      dot.className = 'slider-dot';
+      dot.setAttribute('data-slider-dot', i);
+      dot.setAttribute('aria-label', 'Go to slide ' + (i + 1));
+      dot.setAttribute('aria-controls', this.track.id);
+      this.dots.appendChild(dot);
+    }
+  };
+
+  Slider.prototype.onDotClick = function (e) {
+    var dot = e.target.closest('[data-slider-dot]');
+    if (dot) this.goTo(parseInt(dot.getAttribute('data-slider-dot'), 10));
+  };
+
+  /**
+   * Sync buttons, dots and inert cards with currentIndex
+   * Called after every position update
+   */
+  Slider.prototype.updateA11y = function () {
+    var index = this.currentIndex;
+    var atStart = !this.options.loop && index <= 0;
+    var atEnd = !this.options.loop && index >= this.maxIndex;
+
+    // Edge-aware buttons (aria-disabled keeps them focusable)
+    if (this.prevBtn) this.prevBtn.setAttribute('aria-disabled', atStart);
+    if (this.nextBtn) this.nextBtn.setAttribute('aria-disabled', atEnd);
+
+    // Current dot
+    if (this.dots) {
+      Array.prototype.forEach.call(this.dots.children, function (dot, i) {
+        if (i === index) {
+          dot.setAttribute('aria-current', 'true');
+        } else {
+          dot.removeAttribute('aria-current');
+        }
+      });
+    }
+
+    // Off-screen cards leave the tab order and the a11y tree
+    // Any card with some part in the viewport stays interactive
+    var active = document.activeElement;
+    var focusLost = false;
+
+    Array.prototype.forEach.call(this.cards, function (card, i) {
+      if (this.isCardInView(i)) {
+        card.removeAttribute('inert');
+      } else {
+        if (card.contains(active)) focusLost = true;
+        card.setAttribute('inert', '');
+      }
+    }, this);
+
+    // Roving tabindex: keep it on a card that's actually on screen
+    if (!this.isCardVisible(this.focusIndex)) this.focusIndex = index;
+    this.updateTabStops();
+
+    // Focus was on a card that just slid away: follow the slider
+    if (focusLost) this.focusCard(this.focusIndex);
+  };
+
+  /**
+   * Whether a card sits fully inside the viewport
+   *
+   * @param {number} i - Card index
+   * @returns {boolean}
+   */
+  Slider.prototype.isCardVisible = function (i) {
+    var slot = i + this.cloneCount;
+    if (this.offsets[slot] === undefined) return false;
+
+    return this.offsets[slot] >= this.scroll - 1 &&
+      this.offsets[slot] + this.widths[slot] <= this.scroll + this.viewport + 1;
+  };
+
+  /**
+   * Whether any part of a card is inside the viewport
+   * (unlike isCardVisible(), the partly shown card counts)
+   *
+   * @param {number} i - Card index
+   * @returns {boolean}
+   */
+  Slider.prototype.isCardInView = function (i) {
+    var slot = i + this.cloneCount;
+    if (this.offsets[slot] === undefined) return false;
+
+    return this.offsets[slot] + this.widths[slot] > this.scroll + 1 &&
+      this.offsets[slot] < this.scroll + this.viewport - 1;
+  };
+
+  /**
+   * Announce the current slide through the live region
+   * Silent during autoplay so rotations aren't read out
+   */
+  Slider.prototype.announce = function () {
+    if (!this.liveRegion || this.isTicking) return;
+
+    // Focus on a slide already reads its "N of total" label
+    if (this.track.contains(document.activeElement)) return;
+
+    var card = this.cards[this.currentIndex];
+    var title = card ? card.querySelector('.project-card-title') : null;
+    var message = 'Slide ' + (this.currentIndex + 1) + ' of ' + this.cards.length;
+
+    if (title) message += ': ' + title.textContent.trim();
+
+    this.liveRegion.textContent = message;
+  };
+
+  /**
+   * Remove everything setupA11y(), labelSlides() and
+   * updateA11y() added, for destroy()
+   */
+  Slider.prototype.teardownA11y = function () {
+    this.a11yAttrs.forEach(function (pair) {
+      pair[0].removeAttribute(pair[1]);
+    });
+    this.a11yAttrs = [];
+
+    Array.prototype.forEach.call(this.track.querySelectorAll('.project-card'), function (card) {
+      var link = cardLink(card);
+
+      card.removeAttribute('role');
+      card.removeAttribute('aria-roledescription');
+      card.removeAttribute('aria-label');
+      card.removeAttribute('inert');
+      if (link) link.removeAttribute('tabindex');
+    });
+
+    if (this.prevBtn) this.prevBtn.removeAttribute('aria-disabled');
+    if (this.nextBtn) this.nextBtn.removeAttribute('aria-disabled');
+
+    if (this.liveRegion) this.liveRegion.parentNode.removeChild(this.liveRegion);
+    if (this.dots) this.dots.parentNode.removeChild(this.dots);
+    this.liveRegion = null;
+    this.dots = null;
+  };
+
+
+  /* ---------------------------------------------------------
+     PUBLIC NAVIGATION API
+     ---------------------------------------------------------
+     goTo() and step() are the only paths that change the
+     index; the buttons, keys, drag and autoplay all go
+     through them so every change emits slider:change once.
+     --------------------------------------------------------- */
+
+  /**
+   * Apply a new index and track slot, then notify listeners
+   *
+   * @param {number} index - New logical index
+   * @param {number} position - New track slot (includes clones)
+   * @param {boolean} [animate=true] - Whether to animate the move
+   */
+  Slider.prototype.setIndex = function (index, position, animate) {
+    var previousIndex = this.currentIndex;
+
+    // Any navigation replaces a restored position
+    this.pendingIndex = null;
+
+    this.currentIndex = index;
+    this.position = position;
+    this.updatePosition(animate);
+
+    if (this.currentIndex !== previousIndex) {
+      this.announce();
+      this.savePosition();
+      this.emit('slider:change', { previousIndex: previousIndex });
+    }
+
+    // Manual navigation restarts the autoplay countdown
+    this.scheduleAutoplay();
+  };
+
+  /**
+   * Navigate to a specific slide
+   * Out-of-range indexes are clamped to the first/last slide,
+   * or wrapped in loop mode
+   *
+   * @param {number} index - Target slide index
+   * @param {boolean} [animate=true] - Whether to animate the move
+   */
+  Slider.prototype.goTo = function (index, animate) {
+    index = this.options.loop ? this.wrap(index) : this.clamp(index);
+    this.setIndex(index, index + this.cloneCount, animate);
+  };
+
+  /**
+   * Move a number of slides relative to the current one
+   * In loop mode this travels onto clones past either end so
+   * the animation keeps its direction, then wraps silently
+   *
+   * @param {number} delta - Slides to move (negative = back)
+   */
+  Slider.prototype.step = function (delta) {
+    if (!this.options.loop || !this.cloneCount) {
+      this.goTo(this.currentIndex + delta);
+      return;
+    }
+
+    // Settle any wrap still pending from a quick previous step
+    this.normalizePosition();
+
+    // Never travel further than the clones on either side
+    delta = Math.max(-this.cloneCount, Math.min(this.cloneCount, delta));
+
+    this.setIndex(this.wrap(this.currentIndex + delta), this.position + delta);
+  };
+
+  /**
+   * Wrap an index into the card range (loop mode)
+   *
+   * @param {number} index - Requested index
+   * @returns {number} Index between 0 and the last card
+   */
+  Slider.prototype.wrap = function (index) {
+    var count = this.cards.length || 1;
+    index = Math.round(index) || 0;
+    return ((index % count) + count) % count;
+  };
+
+  /**
+   * Navigate to previous slide
+   * Only moves if not already at first slide (unless looping)
+   */
+  Slider.prototype.prev = function () {
+    if (this.options.loop || this.currentIndex > 0) {
+      this.step(-1);
+    }
+  };
+
+  /**
+   * Navigate to next slide
+   * Only moves if not already at last slide (unless looping)
+   */
+  Slider.prototype.next = function () {
+    if (this.options.loop || this.currentIndex < this.maxIndex) {
+      this.step(1);
+    }
+  };
+
+  /**
+   * Re-read cards and dimensions
+   * Call after adding/removing cards or changing layout
+   */
+  Slider.prototype.refresh = function () {
+    this.buildClones();
+    this.calculateDimensions();
+    this.observeSizes();
+    this.labelSlides();
+    this.buildDots();
+    this.position = this.currentIndex + this.cloneCount;
+    this.updatePosition(false);
+  };
+
+
+  /* ---------------------------------------------------------
+     POSITION MEMORY & DEEP LINKS
+     ---------------------------------------------------------
+     The index is saved to sessionStorage on every change, so
+     "Back to Work" from a project page returns to the same
+     card. A query parameter (e.g. ?work=void-protocol) names
+     the card to show and takes priority over the saved index.
+
+     The restored index stays "pending" until the window load
+     recalculation: calculateDimensions() re-applies it instead
+     of clamping it, so a narrow early layout can't lose it.
+     --------------------------------------------------------- */
+
+  /**
+   * Get the slug identifying a card
+   * Uses data-slug, else the file name of the card's link
+   * (/projects/void-protocol.html -> "void-protocol")
+   *
+   * @param {Element} card - A .project-card
+   * @returns {string} The slug, or "" if none
+   */
+  function cardSlug(card) {
+    if (card.hasAttribute('data-slug')) return card.getAttribute('data-slug');
+
+    var link = card.querySelector('a[href]');
+    if (!link) return '';
+
+    return link.pathname.split('/').pop().replace(/\.html?$/, '');
+  }
+
+  /**
+   * Find a card index by slug
+   *
+   * @param {string} slug - Card slug
+   * @returns {number} Index, or -1 if no card matches
+   */
+  Slider.prototype.indexOfSlug = function (slug) {
+    for (var i = 0; i < this.cards.length; i++) {
+      if (cardSlug(this.cards[i]) === slug) return i;
+    }
+    return -1;
+  };
 
-   Dependencies:
-   - Requires .slider-track element with .project-card children
-   - Requires [data-slider="prev"] and [data-slider="next"] buttons
-   - Requires corresponding CSS in style.css
-   ========================================================= */
+  /**
+   * sessionStorage key for this slider
+   * Page path plus the container id (or its order on the page)
+   *
+   * @returns {string}
+   */
+  Slider.prototype.storageKey = function () {
+    var id = this.container.id ||
+      Array.prototype.indexOf.call(document.querySelectorAll('.slider-container'), this.container);
 
-(function () {
-  'use strict';
+    // Each filter keeps its own position
+    return STORAGE_PREFIX + window.location.pathname + '#' + id +
+      (this.filter ? ':' + this.filter : '');
+  };
 
-  /* ---------------------------------------------------------
-     DOM ELEMENT REFERENCES
-     ---------------------------------------------------------
-     Cache DOM queries for performance.
-     --------------------------------------------------------- */
+  /**
+   * Work out which slide to open on
+   * Priority: deep link > remembered position > start option
+   *
+   * @returns {number} Requested index (not yet clamped)
+   */
+  Slider.prototype.resolveStartIndex = function () {
+    var param = this.options.param;
+
+    if (param) {
+      var slug = new URLSearchParams(window.location.search).get(param);
+      var linked = slug ? this.indexOfSlug(slug) : -1;
+      if (linked !== -1) return linked;
+    }
 
-  // The scrollable track containing all cards
-  var track = document.querySelector('.slider-track');
+    if (this.options.remember) {
+      try {
+        var saved = parseInt(sessionStorage.getItem(this.storageKey()), 10);
+        if (!isNaN(saved)) return saved;
+      } catch (err) {
+        // Storage unavailable (privacy mode); fall through
+      }
+    }
 
-  // Navigation buttons
-  var prevBtn = document.querySelector('[data-slider="prev"]');
-  var nextBtn = document.querySelector('[data-slider="next"]');
+    return this.options.start;
+  };
 
-  // Exit early if slider doesn't exist on this page
-  if (!track) return;
+  /**
+   * Show the pending index without animating or emitting
+   */
+  Slider.prototype.applyPendingIndex = function () {
+    this.currentIndex = this.options.loop ? this.wrap(this.pendingIndex) : this.clamp(this.pendingIndex);
+    this.position = this.currentIndex + this.cloneCount;
+    this.updatePosition(false);
+  };
 
-  // Get all project cards
-  var cards = track.querySelectorAll('.project-card');
+  /**
+   * Store the index and mirror it into the deep-link parameter
+   */
+  Slider.prototype.savePosition = function () {
+    if (this.options.remember) {
+      try {
+        sessionStorage.setItem(this.storageKey(), this.currentIndex);
+      } catch (err) {
+        // Storage full or unavailable; position just won't persist
+      }
+    }
 
+    var card = this.cards[this.currentIndex];
 
-  /* ---------------------------------------------------------
-     STATE VARIABLES
-     ---------------------------------------------------------
-     Track slider dimensions and current position.
-     --------------------------------------------------------- */
+    // First card is the default view, so keep the URL clean
+    setQueryParam(this.options.param, this.currentIndex === 0 || !card ? '' : cardSlug(card));
+  };
+
+  /**
+   * Set or remove a query parameter without adding a history entry
+   *
+   * @param {string|null} name - Parameter name (no-op if empty)
+   * @param {string} value - New value ('' removes the parameter)
+   */
+  function setQueryParam(name, value) {
+    if (!name || !window.history.replaceState) return;
+
+    var url = new URL(window.location.href);
+
+    if (value) {
+      url.searchParams.set(name, value);
+    } else {
+      url.searchParams.delete(name);
+    }
 
-  var cardWidth = 0;      // Width of a single card (pixels)
-  var gap = 24;           // Gap between cards (pixels, matches CSS)
-  var currentIndex = 0;   // Current slide position (0-based)
-  var maxIndex = 0;       // Maximum slide index
+    window.history.replaceState(window.history.state, '', url.href);
+  }
 
-  // Drag interaction state
-  var isDragging = false; // Is user currently dragging?
-  var startX = 0;         // X position where drag started
-  var currentX = 0;       // Current X position during drag
-  var translateX = 0;     // Current transform offset
+  /**
+   * Window load: images are in, so measure for real and
+   * stop protecting the restored index
+   */
+  Slider.prototype.onLoad = function () {
+    this.refresh();
+    this.pendingIndex = null;
+  };
 
 
   /* ---------------------------------------------------------
-     DIMENSION CALCULATIONS
+     CATEGORY FILTER
      ---------------------------------------------------------
-     Calculate card dimensions and determine how many cards
-     fit in the viewport. Called on init and window resize.
+     Builds a chip per distinct .project-card-category. The
+     active chip hides non-matching cards with the [hidden]
+     attribute, so CARD_SELECTOR (and with it cards, clones,
+     maxIndex, dots and labels) only ever sees visible cards
+     after refresh(). Cards animate out, then in; the active
+     filter lives in the URL (e.g. ?category=motion).
      --------------------------------------------------------- */
-  function calculateDimensions() {
-    // Exit if no cards exist
-    if (cards.length === 0) return;
 
-    // Get dimensions from first card
-    var card = cards[0];
-    var style = getComputedStyle(track);
+  /**
+   * Turn a category label into a URL-friendly slug
+   * ("UI/UX" -> "ui-ux", "Brand Identity" -> "brand-identity")
+   *
+   * @param {string} label - Category text
+   * @returns {string}
+   */
+  function categorySlug(label) {
+    return label.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  }
 
-    // Get actual card width from DOM
-    cardWidth = card.offsetWidth;
+  /**
+   * Get a card's category label
+   *
+   * @param {Element} card - A .project-card
+   * @returns {string} The label, or "" if the card has none
+   */
+  function cardCategory(card) {
+    var el = card.querySelector('.project-card-category');
+    return el ? el.textContent.trim() : '';
+  }
 
-    // Parse gap from CSS (fallback to 24px)
-    gap = parseInt(style.gap) || 24;
+  /**
+   * Length (ms) of the animation style.css gives an element,
+   * delay included; 0 when it has none (e.g. reduced motion)
+   *
+   * @param {Element} el - Animated element
+   * @returns {number}
+   */
+  function animationTime(el) {
+    var style = getComputedStyle(el);
+    var names = style.animationName.split(',');
+    var durations = style.animationDuration.split(',');
+    var delays = style.animationDelay.split(',');
+    var longest = 0;
 
-    // Calculate how many cards fit in the container
-    var containerWidth = track.parentElement.offsetWidth;
-    var visibleCards = Math.floor(containerWidth / (cardWidth + gap));
+    names.forEach(function (name, i) {
+      if (name.trim() === 'none') return;
 
-    // Max index is total cards minus visible cards
-    // Ensures last slide shows remaining cards
-    maxIndex = Math.max(0, cards.length - visibleCards);
+      longest = Math.max(longest,
+        toMs(durations[i % durations.length]) + toMs(delays[i % delays.length]));
+    });
 
-    // Clamp current index if window was resized smaller
-    if (currentIndex > maxIndex) {
-      currentIndex = maxIndex;
-      updatePosition(false); // Update without animation
-    }
+    return longest;
   }
 
+  /**
+   * CSS time ("300ms", ".3s") in milliseconds
+   *
+   * @param {string} value - CSS time
+   * @returns {number}
+   */
+  function toMs(value) {
+    value = (value || '').trim();
+    return parseFloat(value) * (/ms$/.test(value) ? 1 : 1000) || 0;
+  }
 
-  /* ---------------------------------------------------------
-     POSITION UPDATE
-     ---------------------------------------------------------
-     Updates the slider track's transform position.
-     Optionally animates the transition.
+  /**
+   * Create the chip bar and apply the filter from the URL
+   * Runs once per instance, after the first refresh()
+   */
+  Slider.prototype.setupFilters = function () {
+    var param = this.options.filter;
+    if (!param) return;
 
-     @param {boolean} animate - Whether to use CSS transition
-     --------------------------------------------------------- */
-  function updatePosition(animate) {
-    // Default to animated transition
+    var categories = [];
+    var labels = {};
+
+    Array.prototype.forEach.call(this.track.querySelectorAll('.project-card:not(.is-clone)'), function (card) {
+      var label = cardCategory(card);
+      var slug = categorySlug(label);
+
+      if (slug && !labels[slug]) {
+        labels[slug] = label;
+        categories.push(slug);
+      }
+    });
+
+    this.filterBar = document.createElement('div');
+    this.filterBar.className = 'slider-filters';
+    this.filterBar.setAttribute('role', 'group');
+    this.filterBar.setAttribute('aria-label', 'Filter by category');
+    this.filterBar.addEventListener('click', this.handlers.chipClick);
+
+    this.filterBar.appendChild(createChip('', 'All'));
+    categories.forEach(function (slug) {
+      this.filterBar.appendChild(createChip(slug, labels[slug]));
+    }, this);
+
+    this.container.parentNode.insertBefore(this.filterBar, this.container);
+
+    // Unknown categories in the URL just show everything
+    var requested = new URLSearchParams(window.location.search).get(param) || '';
+    this.setFilter(labels[requested] ? requested : '', false);
+
+    this.filterReady = true;
+  };
+
+  /**
+   * Create a single filter chip
+   *
+   * @param {string} slug - Category slug ('' = all)
+   * @param {string} label - Visible text
+   * @returns {HTMLButtonElement}
+   */
+  function createChip(slug, label) {
+    var chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = 'slider-filter';
+    chip.setAttribute('data-slider-filter-value', slug);
+    chip.setAttribute('aria-pressed', 'false');
+    chip.textContent = label;
+    return chip;
+  }
+
+  Slider.prototype.onChipClick = function (e) {
+    var chip = e.target.closest('[data-slider-filter-value]');
+    if (!chip) return;
+
+    var slug = chip.getAttribute('data-slider-filter-value');
+
+    // Clicking the active chip again clears the filter
+    this.setFilter(slug === this.filter ? '' : slug);
+  };
+
+  /**
+   * Show only cards in a category
+   *
+   * @param {string} slug - Category slug ('' shows every card)
+   * @param {boolean} [animate=true] - Animate cards out and in
+   */
+  Slider.prototype.setFilter = function (slug, animate) {
     if (animate === undefined) animate = true;
+    slug = slug || '';
 
-    // Calculate new X offset based on current index
-    // Negative because we move track left to show later cards
-    translateX = -currentIndex * (cardWidth + gap);
+    var self = this;
+    var leaving = [];
+    var entering = [];
 
-    // Toggle transition class for animation control
-    if (animate) {
-      track.classList.remove('is-dragging');
-    } else {
-      track.classList.add('is-dragging');
+    // A filter change mid-animation finishes the previous one first
+    if (this.filterTimer) this.endFilterOut();
+
+    this.filter = slug;
+
+    Array.prototype.forEach.call(this.track.querySelectorAll('.project-card:not(.is-clone)'), function (card) {
+      var matches = !slug || categorySlug(cardCategory(card)) === slug;
+
+      if (matches && card.hidden) entering.push(card);
+      if (!matches && !card.hidden) leaving.push(card);
+    });
+
+    if (this.filterBar) {
+      Array.prototype.forEach.call(this.filterBar.children, function (chip) {
+        chip.setAttribute('aria-pressed', chip.getAttribute('data-slider-filter-value') === slug);
+      });
     }
 
-    // Apply the transform
-    track.style.transform = 'translateX(' + translateX + 'px)';
-  }
+    setQueryParam(this.options.filter, slug);
+
+    this.filterLeaving = leaving;
+    this.filterEntering = entering;
+
+    if (!animate || reducedMotionQuery.matches || !leaving.length) {
+      this.finishFilter();
+      return;
+    }
+
+    // Cards fade out, then the track reflows without them
+    leaving.forEach(function (card) {
+      card.classList.add('is-filtering-out');
+    });
+
+    var duration = animationTime(leaving[0]);
+    if (!duration) {
+      this.finishFilter();
+      return;
+    }
+
+    // Done when every leaving card's animation has ended; the
+    // timeout covers animations that never report (hidden tab)
+    var running = leaving.length;
+
+    this.filterEnd = function (e) {
+      if (leaving.indexOf(e.target) === -1) return;
+      if (--running <= 0) self.endFilterOut();
+    };
+
+    this.track.addEventListener('animationend', this.filterEnd);
+    this.filterTimer = setTimeout(function () {
+      self.endFilterOut();
+    }, duration + FILTER_END_SLACK);
+  };
+
+  /**
+   * Stop waiting for the filter-out animation and finish
+   */
+  Slider.prototype.endFilterOut = function () {
+    this.stopFilterOut();
+    this.finishFilter();
+  };
+
+  /**
+   * Drop the filter-out listener and fallback timeout
+   */
+  Slider.prototype.stopFilterOut = function () {
+    clearTimeout(this.filterTimer);
+    this.filterTimer = null;
+
+    if (this.filterEnd) this.track.removeEventListener('animationend', this.filterEnd);
+    this.filterEnd = null;
+  };
+
+  /**
+   * Swap the hidden cards, rebuild the slider state for the
+   * new card set and notify listeners
+   */
+  Slider.prototype.finishFilter = function () {
+    var animate = !reducedMotionQuery.matches;
+
+    this.filterLeaving.forEach(function (card) {
+      card.classList.remove('is-filtering-out');
+      card.hidden = true;
+    });
+
+    this.filterEntering.forEach(function (card) {
+      card.hidden = false;
+      if (animate) card.classList.add('is-filtering-in');
+    });
+
+    var entering = this.filterEntering;
+    this.filterLeaving = [];
+    this.filterEntering = [];
+
+    // Drop the entrance class once its animation has played
+    if (entering.length && animate) {
+      setTimeout(function () {
+        entering.forEach(function (card) {
+          card.classList.remove('is-filtering-in');
+        });
+      }, animationTime(entering[0]) + FILTER_END_SLACK);
+    }
+
+    // New card set: back to the first card
+    this.pendingIndex = null;
+    this.currentIndex = 0;
+    this.refresh();
+
+    // The initial URL filter is not a change (and must not
+    // overwrite the remembered position or ?work= deep link)
+    if (!this.filterReady) return;
+
+    this.savePosition();
+
+    if (this.liveRegion && this.filterBar) {
+      this.liveRegion.textContent = 'Showing ' + this.cards.length +
+        (this.cards.length === 1 ? ' project' : ' projects');
+    }
+
+    this.emit('slider:filter', { filter: this.filter, count: this.cards.length });
+  };
+
+  /**
+   * Unhide every card and remove the chip bar, for destroy()
+   */
+  Slider.prototype.teardownFilters = function () {
+    this.stopFilterOut();
+
+    Array.prototype.forEach.call(this.track.querySelectorAll('.project-card'), function (card) {
+      card.hidden = false;
+      card.classList.remove('is-filtering-out', 'is-filtering-in');
+    });
+
+    if (this.filterBar) this.filterBar.parentNode.removeChild(this.filterBar);
+    this.filterBar = null;
+  };
 
 
   /* ---------------------------------------------------------
-     NAVIGATION FUNCTIONS
+     AUTOPLAY
      ---------------------------------------------------------
-     Move to previous or next slide.
-     Bounds-checked to prevent scrolling past edges.
+     Advances one slide every options.autoplay ms. Any active
+     pause reason (hover, focus, drag, hidden tab, pause())
+     holds it; the timer only runs when none are set.
      --------------------------------------------------------- */
 
   /**
-   * Navigate to previous slide
-   * Only moves if not already at first slide
+   * Set or clear a reason for holding autoplay
+   *
+   * @param {string} reason - e.g. "hover", "focus", "drag"
+   * @param {boolean} active - Whether the reason applies now
    */
-  function goToPrev() {
-    if (currentIndex > 0) {
-      currentIndex--;
-      updatePosition();
+  Slider.prototype.holdAutoplay = function (reason, active) {
+    if (active) {
+      this.pauseReasons[reason] = true;
+    } else {
+      delete this.pauseReasons[reason];
     }
-  }
+    this.scheduleAutoplay();
+  };
 
   /**
-   * Navigate to next slide
-   * Only moves if not already at last slide
+   * (Re)start the autoplay countdown if nothing holds it
    */
-  function goToNext() {
-    if (currentIndex < maxIndex) {
-      currentIndex++;
-      updatePosition();
+  Slider.prototype.scheduleAutoplay = function () {
+    clearTimeout(this.autoplayTimer);
+    this.autoplayTimer = null;
+
+    if (!this.options.autoplay || reducedMotionQuery.matches) return;
+    if (Object.keys(this.pauseReasons).length) return;
+    if (instances.indexOf(this) === -1) return;
+
+    this.autoplayTimer = setTimeout(this.handlers.tick, this.options.autoplay);
+  };
+
+
+  Slider.prototype.onAutoplayTick = function () {
+    // Flag the change as automatic so it isn't announced
+    this.isTicking = true;
+
+    // Without loop mode, rewind to the start after the last slide
+    if (!this.options.loop && this.currentIndex >= this.maxIndex) {
+      this.goTo(0);
+    } else {
+      this.next();
     }
-  }
 
+    this.isTicking = false;
+  };
 
-  /* ---------------------------------------------------------
-     BUTTON EVENT HANDLERS
-     ---------------------------------------------------------
-     Attach click handlers to navigation buttons.
-     --------------------------------------------------------- */
-  if (prevBtn) {
-    prevBtn.addEventListener('click', goToPrev);
-  }
+  /**
+   * Resume autoplay after pause()
+   * Has no effect unless the autoplay option is set
+   */
+  Slider.prototype.play = function () {
+    this.holdAutoplay('user', false);
+  };
 
-  if (nextBtn) {
-    nextBtn.addEventListener('click', goToNext);
-  }
+  /**
+   * Stop autoplay until play() is called
+   */
+  Slider.prototype.pause = function () {
+    this.holdAutoplay('user', true);
+  };
+
+  /**
+   * Remove all listeners and inline styles
+   * The container can be passed to new Slider() again afterwards
+   */
+  Slider.prototype.destroy = function () {
+    if (!this.track) return;
+
+    this.unbindEvents();
+    clearTimeout(this.resizeTimer);
+    clearTimeout(this.wheelTimer);
+    this.isWheeling = false;
+
+    var position = instances.indexOf(this);
+    if (position !== -1) instances.splice(position, 1);
+
+    // Stops the timer (instance is no longer registered)
+    this.scheduleAutoplay();
+
+    this.options.loop = false;
+    this.buildClones();
+    this.teardownFilters();
+    this.teardownA11y();
+
+    this.track.classList.remove('is-dragging');
+    this.track.style.transform = '';
+    this.track.style.gap = '';
+  };
 
 
   /* ---------------------------------------------------------
      KEYBOARD NAVIGATION
      ---------------------------------------------------------
-     Allow arrow keys to navigate when slider is visible
-     in viewport. Only activates when slider section is
-     at least partially visible.
+     Keys only work while focus is inside the slider, so
+     inputs elsewhere on the page (and open modals) keep
+     their arrow keys. Cards use a roving tabindex: one card
+     link is in the tab order, the keys move focus between
+     cards and the slider follows the focused card.
+
+     - ArrowLeft/ArrowRight  Previous/next card (mirrored in RTL)
+     - Home/End              First/last card
+     - PageUp/PageDown       One viewport of cards back/forward
      --------------------------------------------------------- */
-  document.addEventListener('keydown', function (e) {
-    // Find the portfolio section containing the slider
-    var section = track.closest('.portfolio-section');
-    if (!section) return;
 
-    // Check if section is visible in viewport
-    var rect = section.getBoundingClientRect();
-    var isVisible = rect.top < window.innerHeight && rect.bottom > 0;
+  /**
+   * Get the focusable element of a card
+   *
+   * @param {Element} card - A .project-card
+   * @returns {Element|null}
+   */
+  function cardLink(card) {
+    return card ? card.querySelector('a[href], button') : null;
+  }
+
+  /**
+   * Put only the roving card's link in the tab order
+   */
+  Slider.prototype.updateTabStops = function () {
+    var focusIndex = this.focusIndex;
+
+    Array.prototype.forEach.call(this.cards, function (card, i) {
+      var link = cardLink(card);
+      if (link) link.setAttribute('tabindex', i === focusIndex ? '0' : '-1');
+    });
+  };
 
-    // Only respond to keys if slider is visible
-    if (!isVisible) return;
+  /**
+   * Slide the card into view if needed, then focus it
+   *
+   * @param {number} i - Card index
+   */
+  Slider.prototype.focusCard = function (i) {
+    if (!this.cards.length) return;
+
+    i = Math.max(0, Math.min(this.cards.length - 1, i));
+    this.focusIndex = i;
+    this.ensureVisible(i);
+    this.updateTabStops();
+
+    var link = cardLink(this.cards[i]);
+
+    // preventScroll: the slider moves the track, the browser must not
+    // scroll the overflow-hidden container itself
+    if (link) link.focus({ preventScroll: true });
+  };
+
+  /**
+   * Move the slider as little as possible to show a card fully
+   *
+   * @param {number} i - Card index
+   */
+  Slider.prototype.ensureVisible = function (i) {
+    if (this.isCardVisible(i)) return;
+
+    // Card is behind the viewport: bring it to the start edge
+    if (i < this.currentIndex || this.options.loop) {
+      this.goTo(i);
+      return;
+    }
+
+    // Card is ahead: advance just until its end edge fits
+    var slot = i + this.cloneCount;
+    var cardEnd = this.offsets[slot] + this.widths[slot];
+
+    for (var j = this.currentIndex + 1; j < i; j++) {
+      if (this.scrollFor(j + this.cloneCount) + this.viewport >= cardEnd - 1) {
+        this.goTo(j);
+        return;
+      }
+    }
+
+    this.goTo(i);
+  };
 
-    // Handle arrow keys
-    if (e.key === 'ArrowLeft') {
-      goToPrev();
-    } else if (e.key === 'ArrowRight') {
-      goToNext();
+  /**
+   * Number of cards fully visible right now (at least 1)
+   *
+   * @returns {number}
+   */
+  Slider.prototype.visibleCards = function () {
+    var count = 0;
+
+    for (var i = 0; i < this.cards.length; i++) {
+      if (this.isCardVisible(i)) count++;
+    }
+
+    return Math.max(1, count);
+  };
+
+  Slider.prototype.onKeydown = function (e) {
+    // Only keys pressed on a card; leave modifier shortcuts alone
+    if (!this.track.contains(e.target)) return;
+    if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey) return;
+
+    var last = this.cards.length - 1;
+    var page = this.visibleCards();
+    var target;
+
+    switch (e.key) {
+      // Arrow keys are mirrored in RTL, where "next" is to the left
+      case 'ArrowLeft':
+        target = this.focusIndex - this.dir;
+        break;
+      case 'ArrowRight':
+        target = this.focusIndex + this.dir;
+        break;
+      case 'Home':
+        target = 0;
+        break;
+      case 'End':
+        target = last;
+        break;
+      case 'PageUp':
+        target = this.focusIndex - page;
+        break;
+      case 'PageDown':
+        target = this.focusIndex + page;
+        break;
+      default:
+        return;
+    }
+
+    e.preventDefault();
+
+    // Loop mode wraps the arrow keys; otherwise stop at the ends
+    if (this.options.loop && (e.key === 'ArrowLeft' || e.key === 'ArrowRight')) {
+      var delta = target - this.focusIndex;
+      target = this.wrap(target);
+
+      // Keep the wrap animation moving in the key's direction
+      if (!this.isCardVisible(target)) this.step(delta);
     }
-  });
+
+    this.focusCard(target);
+  };
 
 
   /* ---------------------------------------------------------
-     DRAG / TOUCH HANDLERS
+     DRAG HANDLERS (POINTER EVENTS)
      ---------------------------------------------------------
-     Enable mouse drag and touch swipe interactions.
-     Uses same handlers for both input types with
-     event type detection.
+     One code path for mouse, touch and pen. The gesture
+     direction is decided after a few pixels: horizontal
+     drags capture the pointer and move the track, vertical
+     ones are released so the page scrolls (the track's CSS
+     touch-action: pan-y leaves vertical panning to the
+     browser). On release, the recent velocity is projected
+     forward so a quick flick carries across several cards.
      --------------------------------------------------------- */
 
   /**
-   * Start drag interaction
-   * Records starting position and enables dragging state
+   * Start tracking a pointer
+   * Records starting position; the drag itself starts once
+   * the gesture is known to be horizontal
    *
-   * @param {MouseEvent|TouchEvent} e - The input event
+   * @param {PointerEvent} e - The input event
    */
-  function onDragStart(e) {
+  Slider.prototype.onDragStart = function (e) {
     // Note: We don't prevent default here to allow links to work
     // Click prevention is handled in onDragEnd if drag occurred
 
-    isDragging = true;
+    // Only the primary pointer, and only the main mouse button
+    if (this.isDragging || !e.isPrimary) return;
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
 
-    // Get X position from mouse or touch event
-    startX = e.type === 'mousedown' ? e.pageX : e.touches[0].pageX;
-    currentX = startX;
+    this.isDragging = true;
+    this.pointerId = e.pointerId;
+    this.dragAxis = null;
+
+    this.startX = e.clientX;
+    this.startY = e.clientY;
+    this.currentX = this.startX;
+    this.samples = [{ x: e.clientX, t: e.timeStamp }];
+  };
+
+  /**
+   * Lock the gesture to the horizontal axis and begin dragging
+   *
+   * @param {PointerEvent} e - The event that decided the axis
+   */
+  Slider.prototype.beginDrag = function (e) {
+    this.dragAxis = 'x';
+
+    // Keep receiving events even if the pointer leaves the track
+    if (this.track.setPointerCapture) {
+      try {
+        this.track.setPointerCapture(e.pointerId);
+      } catch (err) {
+        // Pointer already released; the window listeners still cover it
+      }
+    }
 
     // Disable CSS transition for immediate feedback
-    track.classList.add('is-dragging');
-  }
+    this.track.classList.add('is-dragging', 'is-grabbing');
+
+    // Settle a pending loop wrap so the drag starts from a real card
+    this.normalizePosition();
+
+    this.holdAutoplay('drag', true);
+    this.emit('slider:dragstart');
+  };
 
   /**
    * Handle drag movement
-   * Updates track position to follow cursor/finger
+   * Decides the gesture axis, then updates track position
+   * to follow the pointer
    *
-   * @param {MouseEvent|TouchEvent} e - The input event
+   * @param {PointerEvent} e - The input event
    */
-  function onDragMove(e) {
-    // Exit if not currently dragging
-    if (!isDragging) return;
+  Slider.prototype.onDragMove = function (e) {
+    // Exit if not tracking this pointer
+    if (!this.isDragging || e.pointerId !== this.pointerId) return;
+
+    var dx = e.clientX - this.startX;
+    var dy = e.clientY - this.startY;
+
+    if (!this.dragAxis) {
+      // Wait until the gesture has a clear direction
+      if (Math.abs(dx) < AXIS_LOCK && Math.abs(dy) < AXIS_LOCK) return;
+
+      if (Math.abs(dy) > Math.abs(dx)) {
+        // Mostly vertical: let the page scroll and stop tracking
+        this.isDragging = false;
+        this.pointerId = null;
+        return;
+      }
 
-    // Prevent default to stop text selection and scrolling
+      this.beginDrag(e);
+    }
+
+    // Prevent default to stop text selection
     e.preventDefault();
 
-    // Get current X position
-    var x = e.type === 'mousemove' ? e.pageX : e.touches[0].pageX;
+    // Update track position (base scroll + resisted drag distance)
+    // Dragging toward the reading direction's end scrolls back
+    this.render(this.resistEdges(this.scroll - this.dir * dx));
+
+    // Store current position and a velocity sample
+    this.currentX = e.clientX;
+    this.samples.push({ x: e.clientX, t: e.timeStamp });
+
+    // Only keep samples inside the velocity window
+    while (this.samples.length > 2 && e.timeStamp - this.samples[0].t > VELOCITY_WINDOW) {
+      this.samples.shift();
+    }
+  };
+
+  /**
+   * Apply rubber-band resistance past the first/last card
+   * The further past the edge, the less the track follows
+   *
+   * @param {number} scroll - Unresisted scroll from the start edge (px)
+   * @returns {number} Scroll to render
+   */
+  Slider.prototype.resistEdges = function (scroll) {
+    // Loop mode has clones on both sides, so no edges to resist
+    if (this.options.loop && this.cloneCount) return scroll;
 
-    // Calculate distance dragged
-    var diff = x - startX;
+    var size = this.viewport || 1;
 
-    // Update track position (base offset + drag distance)
-    track.style.transform = 'translateX(' + (translateX + diff) + 'px)';
+    if (scroll < 0) return -rubberBand(-scroll, size);
+    if (scroll > this.maxScroll) return this.maxScroll + rubberBand(scroll - this.maxScroll, size);
+    return scroll;
+  };
 
-    // Store current position for end calculation
-    currentX = x;
+  /**
+   * Rubber-band curve: follows 1:1 at first, then flattens out
+   * so the overscroll never exceeds the container size
+   *
+   * @param {number} distance - Overscroll distance (px, positive)
+   * @param {number} size - Container width (px)
+   * @returns {number} Resisted distance (px)
+   */
+  function rubberBand(distance, size) {
+    return (1 - 1 / (distance * RESISTANCE / size + 1)) * size;
   }
 
+  /**
+   * Release speed from the recent samples
+   *
+   * @returns {number} Velocity in px/ms (negative = leftwards)
+   */
+  Slider.prototype.releaseVelocity = function () {
+    var first = this.samples[0];
+    var last = this.samples[this.samples.length - 1];
+    var elapsed = last.t - first.t;
+
+    return elapsed > 0 ? (last.x - first.x) / elapsed : 0;
+  };
+
   /**
    * End drag interaction
-   * Determines if drag was enough to change slides,
-   * then snaps to nearest slide position
+   * Projects the release velocity forward to pick how many
+   * cards to move, then snaps to that slide position
    *
-   * @param {MouseEvent|TouchEvent} e - The input event
+   * @param {PointerEvent} e - The input event
    */
-  function onDragEnd(e) {
-    // Exit if not currently dragging
-    if (!isDragging) return;
+  Slider.prototype.onDragEnd = function (e) {
+    // Exit if not tracking this pointer
+    if (!this.isDragging || e.pointerId !== this.pointerId) return;
 
-    isDragging = false;
-    track.classList.remove('is-dragging');
+    var wasDragging = this.dragAxis === 'x';
 
-    // Calculate total drag distance
-    var diff = currentX - startX;
+    this.isDragging = false;
+    this.pointerId = null;
 
-    // Threshold: must drag at least 1/4 of card width to change slides
-    var threshold = cardWidth / 4;
+    // A tap or an undecided gesture is not a drag
+    if (!wasDragging) return;
 
-    // Determine if drag was significant enough to navigate
-    if (diff > threshold && currentIndex > 0) {
-      // Dragged right (show previous) - only if not at start
-      currentIndex--;
-    } else if (diff < -threshold && currentIndex < maxIndex) {
-      // Dragged left (show next) - only if not at end
-      currentIndex++;
-    }
+    this.track.classList.remove('is-dragging', 'is-grabbing');
 
-    // Snap to calculated position with animation
-    updatePosition();
+    var track = this.track;
+
+    // Calculate total drag distance; a cancelled pointer just snaps back
+    var diff = e.type === 'pointercancel' ? 0 : this.currentX - this.startX;
+    var velocity = e.type === 'pointercancel' ? 0 : this.releaseVelocity();
+
+    // Same values along the reading direction (positive = back toward the start)
+    this.snap(this.dir * diff, this.dir * velocity);
+
+    this.holdAutoplay('drag', false);
+    this.emit('slider:dragend', { distance: diff, velocity: velocity });
 
     // Prevent accidental link clicks after dragging
     // If user dragged more than 10px, block the click
@@ -302,63 +2059,178 @@
       // Use capture phase to intercept before link handler
       track.addEventListener('click', preventClick, true);
     }
-  }
+  };
+
+
+  /**
+   * Snap to a card after a drag or wheel gesture
+   * Shared by both so they pick cards the same way
+   *
+   * @param {number} distance - Gesture distance along the reading
+   *   direction (px, positive = back toward the start)
+   * @param {number} velocity - Release speed, same sign (px/ms)
+   */
+  Slider.prototype.snap = function (distance, velocity) {
+    // Momentum: where the track would coast to at this speed,
+    // snapped to the nearest real card offset
+    var projected = distance + velocity * MOMENTUM;
+    var delta = this.nearestPosition(this.scroll - projected) - this.position;
+
+    // Short gestures still count if they pass the threshold or are flicks
+    // Threshold: must move a fraction of the current card's width
+    if (delta === 0 && distance !== 0) {
+      var threshold = (this.widths[this.position] || 0) * this.options.threshold;
+
+      if (Math.abs(distance) > threshold || Math.abs(velocity) > FLICK_VELOCITY) {
+        // Moved toward the start (show previous) or the end (show next)
+        delta = distance > 0 ? -1 : 1;
+      }
+    }
+
+    // Snap to calculated position with animation
+    // (step clamps or wraps, so past either edge it snaps back or loops)
+    this.step(delta);
+  };
 
 
   /* ---------------------------------------------------------
-     EVENT LISTENER ATTACHMENT
+     WHEEL / TRACKPAD
      ---------------------------------------------------------
-     Attach drag/touch handlers to appropriate elements.
+     Horizontal wheel deltas (two-finger trackpad swipes, tilt
+     wheels) and shift+wheel move the track like a drag. Once
+     no event has arrived for WHEEL_SETTLE ms the gesture snaps
+     through the same path as a drag release. Mostly vertical
+     deltas are left alone so the page keeps scrolling.
      --------------------------------------------------------- */
 
-  // Mouse events (desktop)
-  track.addEventListener('mousedown', onDragStart);
-  window.addEventListener('mousemove', onDragMove);
-  window.addEventListener('mouseup', onDragEnd);
+  /**
+   * Handle a wheel event on the track
+   *
+   * @param {WheelEvent} e - The input event
+   */
+  Slider.prototype.onWheel = function (e) {
+    // Pinch-zoom arrives as ctrl+wheel; a pointer drag owns the track
+    if (e.ctrlKey || this.dragAxis === 'x' && this.isDragging) return;
+
+    var dx = e.deltaX;
+    var dy = e.deltaY;
+
+    // Shift+wheel scrolls sideways on mice without a tilt wheel
+    // (some browsers already swap the deltas for us)
+    if (e.shiftKey && !dx) {
+      dx = dy;
+      dy = 0;
+    }
+
+    // Mostly vertical: leave it to the page
+    if (!dx || Math.abs(dx) <= Math.abs(dy)) return;
+
+    e.preventDefault();
+
+    // Convert line/page deltas to pixels
+    if (e.deltaMode === 1) dx *= WHEEL_LINE;
+    if (e.deltaMode === 2) dx *= this.viewport;
+
+    if (!this.isWheeling) {
+      this.isWheeling = true;
+      this.wheelOffset = 0;
 
-  // Touch events (mobile/tablet)
-  // passive: true on touchstart for better scroll performance
-  // passive: false on touchmove to allow preventDefault
-  track.addEventListener('touchstart', onDragStart, { passive: true });
-  track.addEventListener('touchmove', onDragMove, { passive: false });
-  track.addEventListener('touchend', onDragEnd);
+      // Follow the fingers without the CSS transition
+      this.track.classList.add('is-dragging');
+      this.normalizePosition();
+      this.holdAutoplay('wheel', true);
+    }
+
+    // Positive deltaX reveals content to the right, which is
+    // toward the end in LTR and toward the start in RTL
+    this.wheelOffset += this.dir * dx;
+    this.render(this.resistEdges(this.scroll + this.wheelOffset));
+
+    var self = this;
+
+    clearTimeout(this.wheelTimer);
+    this.wheelTimer = setTimeout(function () {
+      self.endWheel();
+    }, WHEEL_SETTLE);
+  };
+
+  /**
+   * Snap once the wheel gesture has settled
+   */
+  Slider.prototype.endWheel = function () {
+    if (!this.isWheeling) return;
+
+    var offset = this.wheelOffset;
+
+    this.isWheeling = false;
+    this.wheelOffset = 0;
+    this.track.classList.remove('is-dragging');
+
+    // Velocity is already baked into a trackpad's inertia deltas
+    this.snap(-offset, 0);
+
+    this.holdAutoplay('wheel', false);
+  };
 
 
   /* ---------------------------------------------------------
      RESIZE HANDLER
      ---------------------------------------------------------
-     Recalculate dimensions when window is resized.
+     Re-measure when the container or a card changes size
+     (ResizeObserver), or the window does (fallback).
      Debounced to prevent excessive calculations.
      --------------------------------------------------------- */
-  var resizeTimer;
+  Slider.prototype.onResize = function () {
+    var self = this;
 
-  window.addEventListener('resize', function () {
     // Clear any pending recalculation
-    clearTimeout(resizeTimer);
+    clearTimeout(this.resizeTimer);
+
+    // Wait 100ms after resizing stops before recalculating
+    this.resizeTimer = setTimeout(function () {
+      self.calculateDimensions();
 
-    // Wait 100ms after resize stops before recalculating
-    resizeTimer = setTimeout(calculateDimensions, 100);
-  });
+      // Re-apply the offset unless a drag or wheel gesture owns the track
+      if ((self.dragAxis !== 'x' || !self.isDragging) && !self.isWheeling) self.updatePosition(false);
+    }, 100);
+  };
 
 
   /* ---------------------------------------------------------
      INITIALIZATION
      ---------------------------------------------------------
-     Calculate initial dimensions when DOM is ready.
-     Also recalculate after images load (may affect card size).
+     Expose the constructor and register with app.js, which
+     creates an instance for every slider when DOM is ready
+     (and in any markup later passed to App.init(root)).
+     Instances also recalculate after images load (may affect
+     card size). Without app.js, start on DOM ready.
      --------------------------------------------------------- */
-  function init() {
-    calculateDimensions();
-  }
-
-  // Initialize when DOM is ready
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', init);
+  window.Slider = Slider;
+
+  var sliderModule = {
+    init: function (root) {
+      Slider.initAll(root);
+      watchDeferred(root);
+    },
+    destroy: function () {
+      clearTimeout(deferTimer);
+      deferTimer = null;
+
+      // destroy() removes the instance from the list, so iterate a copy
+      instances.slice().forEach(function (slider) {
+        slider.destroy();
+      });
+    }
+  };
+
+  if (window.App) {
+    window.App.register('slider', sliderModule);
+  } else if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', function () {
+      sliderModule.init(document);
+    });
   } else {
-    init();
+    sliderModule.init(document);
   }
 
-  // Recalculate after all images load (affects card dimensions)
-  window.addEventListener('load', calculateDimensions);
-
 })();
@@ -0,0 +1,294 @@
+/* =========================================================
+   theme.js
+   Color themes and the CRT scanlines mode
+   =========================================================
+   Author:   Valdez Campos (dez@mediabrilliance.io)
+   Studio:   mediaBrilliance designxtudio
+   Date:     2026-01-17
+   Version:  1.0
+
+   Description:
+   ------------
+   Swaps the named token sets defined in style.css (section 1)
+   and toggles the scanlines overlay (section 29). Loaded as
+   a plain blocking script in <head> (unlike the deferred site
+   modules), so the saved theme is on <html> before the first
+   paint and there is no flash of the default palette.
+
+   Themes:
+   - default        Cyan/magenta on near-black
+   - high-contrast  Pure black, brighter text and accents
+   - daylight       Light background, deeper accents
+
+   Features:
+   - Choice saved in localStorage
+   - Without a saved choice: prefers-contrast: more picks
+     high-contrast, prefers-color-scheme: light picks daylight,
+     and the page follows changes to those settings live
+   - Builds a switcher into any [data-theme-switcher] element
+   - Public API: window.Theme.set(name), get(), reset(),
+     setScanlines(on), themes
+   - theme:change event on document (detail: { theme, scanlines })
+
+   Dependencies:
+   - None (must not wait for DOMContentLoaded)
+   ========================================================= */
+
+(function () {
+  'use strict';
+
+  /* ---------------------------------------------------------
+     CONFIGURATION
+     --------------------------------------------------------- */
+
+  // Theme names and switcher labels; the first is the default
+  var THEMES = {
+    'default': 'Neon',
+    'high-contrast': 'High contrast',
+    'daylight': 'Daylight'
+  };
+  var DEFAULT_THEME = 'default';
+
+  // Browser UI color per theme (matches --bg in style.css)
+  var THEME_COLORS = {
+    'default': '#0a0a0f',
+    'high-contrast': '#000000',
+    'daylight': '#f4f4f7'
+  };
+
+  // localStorage keys
+  var THEME_KEY = 'theme';
+  var SCANLINES_KEY = 'theme:scanlines';
+
+  var root = document.documentElement;
+  var contrastQuery = window.matchMedia('(prefers-contrast: more)');
+  var lightQuery = window.matchMedia('(prefers-color-scheme: light)');
+
+
+  /* ---------------------------------------------------------
+     STORAGE
+     ---------------------------------------------------------
+     localStorage can throw (privacy modes, disabled storage);
+     the theme then simply isn't remembered.
+     --------------------------------------------------------- */
+
+  function read(key) {
+    try {
+      return window.localStorage.getItem(key);
+    } catch (err) {
+      return null;
+    }
+  }
+
+  function write(key, value) {
+    try {
+      if (value === null) {
+        window.localStorage.removeItem(key);
+      } else {
+        window.localStorage.setItem(key, value);
+      }
+    } catch (err) {
+      // Not persisted; the current page still switches
+    }
+  }
+
+
+  /* ---------------------------------------------------------
+     RESOLVE & APPLY
+     --------------------------------------------------------- */
+
+  /**
+   * Get the saved theme, if it is still a known one
+   *
+   * @returns {string|null}
+   */
+  function savedTheme() {
+    var name = read(THEME_KEY);
+    return THEMES.hasOwnProperty(name) ? name : null;
+  }
+
+  /**
+   * Theme to use: saved choice, else the system preference
+   *
+   * @returns {string}
+   */
+  function resolveTheme() {
+    var saved = savedTheme();
+
+    if (saved) return saved;
+    if (contrastQuery.matches) return 'high-contrast';
+    if (lightQuery.matches) return 'daylight';
+    return DEFAULT_THEME;
+  }
+
+  /**
+   * Write the theme and scanlines state to <html>
+   */
+  function apply() {
+    var theme = resolveTheme();
+    var scanlines = read(SCANLINES_KEY) === 'on';
+    var meta = document.querySelector('meta[name="theme-color"]');
+
+    root.setAttribute('data-theme', theme);
+    root.classList.toggle('scanlines', scanlines);
+
+    if (meta) meta.setAttribute('content', THEME_COLORS[theme]);
+
+    updateSwitchers(theme, scanlines);
+
+    document.dispatchEvent(new CustomEvent('theme:change', {
+      detail: { theme: theme, scanlines: scanlines }
+    }));
+  }
+
+  /**
+   * Choose and save a theme
+   *
+   * @param {string} name - One of Theme.themes
+   * @returns {boolean} Whether the name was known
+   */
+  function setTheme(name) {
+    if (!THEMES.hasOwnProperty(name)) return false;
+
+    write(THEME_KEY, name);
+    apply();
+    return true;
+  }
+
+  /**
+   * Forget the saved theme and follow the system again
+   */
+  function resetTheme() {
+    write(THEME_KEY, null);
+    apply();
+  }
+
+  /**
+   * Turn the scanlines overlay on or off (saved)
+   *
+   * @param {boolean} on - Show scanlines
+   */
+  function setScanlines(on) {
+    write(SCANLINES_KEY, on ? 'on' : null);
+    apply();
+  }
+
+  /**
+   * Follow system setting changes while nothing is saved
+   */
+  function onSystemChange() {
+    if (!savedTheme()) apply();
+  }
+
+
+  /* ---------------------------------------------------------
+     SWITCHER
+     ---------------------------------------------------------
+     Fills every [data-theme-switcher] element with one
+     aria-pressed button per theme plus a scanlines toggle.
+
+     Example HTML:
+     <div class="theme-switcher" data-theme-switcher></div>
+     --------------------------------------------------------- */
+
+  /**
+   * Create a switcher button
+   *
+   * @param {string} label - Button text
+   * @param {string} attr - Data attribute naming the action
+   * @param {string} value - Attribute value
+   * @returns {HTMLButtonElement}
+   */
+  function createButton(label, attr, value) {
+    var btn = document.createElement('button');
+
+    btn.type = 'button';
+    btn.className = 'theme-option';
+    btn.textContent = label;
+    btn.setAttribute(attr, value);
+    btn.setAttribute('aria-pressed', 'false');
+
+    return btn;
+  }
+
+  function buildSwitchers() {
+    var targets = document.querySelectorAll('[data-theme-switcher]');
+
+    Array.prototype.forEach.call(targets, function (target) {
+      target.innerHTML = '';
+      target.setAttribute('role', 'group');
+      target.setAttribute('aria-label', 'Theme');
+
+      Object.keys(THEMES).forEach(function (name) {
+        target.appendChild(createButton(THEMES[name], 'data-theme-set', name));
+      });
+
+      target.appendChild(createButton('Scanlines', 'data-theme-scanlines', ''));
+
+      target.addEventListener('click', function (e) {
+        var btn = e.target.closest('button');
+        if (!btn) return;
+
+        if (btn.hasAttribute('data-theme-set')) {
+          setTheme(btn.getAttribute('data-theme-set'));
+        } else if (btn.hasAttribute('data-theme-scanlines')) {
+          setScanlines(!root.classList.contains('scanlines'));
+        }
+      });
+    });
+
+    updateSwitchers(root.getAttribute('data-theme'), root.classList.contains('scanlines'));
+  }
+
+  /**
+   * Reflect the current state in every switcher
+   *
+   * @param {string} theme - Active theme
+   * @param {boolean} scanlines - Scanlines on
+   */
+  function updateSwitchers(theme, scanlines) {
+    var buttons = document.querySelectorAll('[data-theme-set], [data-theme-scanlines]');
+
+    Array.prototype.forEach.call(buttons, function (btn) {
+      var pressed = btn.hasAttribute('data-theme-set')
+        ? btn.getAttribute('data-theme-set') === theme
+        : scanlines;
+
+      btn.setAttribute('aria-pressed', pressed);
+    });
+  }
+
+
+  /* ---------------------------------------------------------
+     INITIALIZATION
+     ---------------------------------------------------------
+     Apply immediately (we run in <head>, before the body
+     renders), build switchers once the DOM is ready.
+     --------------------------------------------------------- */
+  apply();
+
+  [contrastQuery, lightQuery].forEach(function (query) {
+    if (query.addEventListener) {
+      query.addEventListener('change', onSystemChange);
+    } else if (query.addListener) {
+      query.addListener(onSystemChange);
+    }
+  });
+
+  // Wait for DOM if still loading, otherwise build now
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', buildSwitchers);
+  } else {
+    buildSwitchers();
+  }
+
+  // Public API
+  window.Theme = {
+    set: setTheme,
+    get: function () { return root.getAttribute('data-theme'); },
+    reset: resetTheme,
+    setScanlines: setScanlines,
+    themes: Object.keys(THEMES)
+  };
+
+})();
@@ -0,0 +1,261 @@
+/* =========================================================
+   toc.js
+   Scroll-spy table of contents for sectioned pages
+   =========================================================
+   Author:   Valdez Campos (dez@mediabrilliance.io)
+   Studio:   mediaBrilliance designxtudio
+   Date:     2026-01-17
+   Version:  1.0
+
+   Description:
+   ------------
+   Builds a sticky "On this page" bar from .about-section
+   blocks and highlights the section currently being read.
+   Any page using the same markup gets it automatically.
+
+   Features:
+   - One entry per section, named by its .section-label
+   - Sections without an id get one from their label
+   - Current section marked with aria-current="location"
+     (IntersectionObserver; no highlight without it)
+   - Links are plain #anchors, so clicks go through the
+     header-offset smooth scroll in utils.js
+   - Sticks below the site header (data-sticky-header, so
+     utils.js includes it in the scroll offset)
+
+   Markup:
+   <section class="about-section">
+     <span class="section-label">Overview</span>
+     ...
+   </section>
+
+   Dependencies:
+   - utils.js (initSmoothScroll) for offset-aware scrolling
+   - Optional app.js (window.App) module registry
+   ========================================================= */
+
+(function () {
+  'use strict';
+
+  /* ---------------------------------------------------------
+     CONFIGURATION
+     --------------------------------------------------------- */
+
+  var SECTION_SELECTOR = '.about-section';
+  var LABEL_SELECTOR = '.section-label';
+
+  // Fewer sections than this don't need a table of contents
+  var MIN_SECTIONS = 2;
+
+  // A section is "current" while its top part is in the upper
+  // READING_BAND of the viewport (below the sticky bars)
+  var READING_BAND = 0.45;
+
+  // Built bars and their observers, for destroy(): { nav, observer }
+  var tocs = [];
+
+
+  /* ---------------------------------------------------------
+     BUILD
+     --------------------------------------------------------- */
+
+  /**
+   * Turn a label into an id
+   *
+   * @param {string} text - Section label
+   * @returns {string}
+   */
+  function slugify(text) {
+    return text.toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'section';
+  }
+
+  /**
+   * Give a section a unique id if it has none
+   *
+   * @param {Element} section - The section
+   * @param {string} label - Its label text
+   * @returns {string} The section's id
+   */
+  function ensureId(section, label) {
+    if (section.id) return section.id;
+
+    var base = slugify(label);
+    var id = base;
+    var n = 2;
+
+    while (document.getElementById(id)) {
+      id = base + '-' + n++;
+    }
+
+    section.id = id;
+    return id;
+  }
+
+  /**
+   * Build the table of contents
+   *
+   * @param {Object[]} entries - { section, label }
+   * @returns {Object} { nav, links }
+   */
+  function buildToc(entries) {
+    var nav = document.createElement('nav');
+    var list = document.createElement('ol');
+    var links = [];
+
+    nav.className = 'toc';
+    nav.setAttribute('aria-label', 'On this page');
+    nav.setAttribute('data-sticky-header', '');
+    list.className = 'toc-list';
+
+    entries.forEach(function (entry) {
+      var item = document.createElement('li');
+      var link = document.createElement('a');
+
+      link.className = 'toc-link';
+      link.href = '#' + ensureId(entry.section, entry.label);
+      link.textContent = entry.label;
+
+      item.appendChild(link);
+      list.appendChild(item);
+      links.push(link);
+    });
+
+    nav.appendChild(list);
+    return { nav: nav, links: links };
+  }
+
+
+  /* ---------------------------------------------------------
+     SCROLL SPY
+     ---------------------------------------------------------
+     The observer's root margin trims the viewport down to a
+     band just under the sticky bars. The first section in
+     document order that overlaps the band is current; when
+     none does (between sections) the last one stays marked.
+     --------------------------------------------------------- */
+
+  /**
+   * Mark one link as current
+   *
+   * @param {Element[]} links - TOC links
+   * @param {number} index - Link to mark
+   */
+  function setCurrent(links, index) {
+    links.forEach(function (link, i) {
+      if (i === index) {
+        link.setAttribute('aria-current', 'location');
+      } else {
+        link.removeAttribute('aria-current');
+      }
+    });
+
+    // Keep the current entry visible in a horizontally scrolled bar
+    // (scrollLeft, not scrollIntoView, so the page itself stays put)
+    var list = links[index].closest('.toc-list');
+    var link = links[index];
+
+    if (link.offsetLeft < list.scrollLeft ||
+        link.offsetLeft + link.offsetWidth > list.scrollLeft + list.clientWidth) {
+      list.scrollLeft = link.offsetLeft - (list.clientWidth - link.offsetWidth) / 2;
+    }
+  }
+
+  /**
+   * Watch the sections and highlight the current one
+   *
+   * @param {Element[]} sections - Sections in document order
+   * @param {Element[]} links - Matching TOC links
+   * @returns {IntersectionObserver|null}
+   */
+  function spy(sections, links) {
+    if (!window.IntersectionObserver) return null;
+
+    var header = document.querySelector('.site-header');
+    var toc = links[0].closest('.toc');
+    var top = (header ? header.offsetHeight : 0) + toc.offsetHeight;
+    var inView = sections.map(function () { return false; });
+    var current = -1;
+
+    var observer = new IntersectionObserver(function (entries) {
+      entries.forEach(function (entry) {
+        inView[sections.indexOf(entry.target)] = entry.isIntersecting;
+      });
+
+      var first = inView.indexOf(true);
+
+      if (first !== -1 && first !== current) {
+        current = first;
+        setCurrent(links, current);
+      }
+    }, {
+      rootMargin: -top + 'px 0px ' + -Math.round((1 - READING_BAND) * 100) + '% 0px'
+    });
+
+    sections.forEach(function (section) {
+      observer.observe(section);
+    });
+
+    return observer;
+  }
+
+
+  /* ---------------------------------------------------------
+     INITIALIZATION
+     ---------------------------------------------------------
+     Only labelled sections are listed. The bar goes in front
+     of the first section, inside the same container, so it
+     stays stuck for as long as the sections are on screen.
+     Registers as the "toc" module with app.js; init(root)
+     builds a bar for the sections in root unless it already
+     has one.
+     --------------------------------------------------------- */
+  function init(root) {
+    var entries = [];
+
+    root = root || document;
+
+    // Already built for this content
+    if (root.querySelector('.toc')) return;
+
+    Array.prototype.forEach.call(root.querySelectorAll(SECTION_SELECTOR), function (section) {
+      var label = section.querySelector(LABEL_SELECTOR);
+
+      if (label && label.textContent.trim()) {
+        entries.push({ section: section, label: label.textContent.trim() });
+      }
+    });
+
+    // Exit if page has no (or too few) sections
+    if (entries.length < MIN_SECTIONS) return;
+
+    var toc = buildToc(entries);
+    var first = entries[0].section;
+
+    first.parentNode.insertBefore(toc.nav, first);
+
+    tocs.push({
+      nav: toc.nav,
+      observer: spy(entries.map(function (entry) { return entry.section; }), toc.links)
+    });
+  }
+
+  function destroy() {
+    tocs.forEach(function (toc) {
+      if (toc.observer) toc.observer.disconnect();
+      if (toc.nav.parentNode) toc.nav.parentNode.removeChild(toc.nav);
+    });
+    tocs = [];
+  }
+
+  if (window.App) {
+    window.App.register('toc', { init: init, destroy: destroy });
+  } else if (document.readyState === 'loading') {
+    // Wait for DOM if still loading, otherwise init immediately
+    document.addEventListener('DOMContentLoaded', function () {
+      init(document);
+    });
+  } else {
+    init(document);
+  }
+
+})();
@@ -11,15 +11,21 @@
    ------------
    Provides common UI interaction handlers used across
    the site. Includes mobile navigation, modal dialogs,
-   and smooth scrolling for anchor links.
+   and hash navigation for anchor links.
 
    Features:
-   - Mobile hamburger menu toggle
-   - Modal open/close with overlay
-   - Smooth scroll to anchor targets
+   - Mobile hamburger menu toggle with focus management
+   - aria-current="page" on links to the current page
+   - Modal manager: stacked dialogs, focus trap and return,
+     inert background, window.Modals API, modal:open/close
+   - Hash navigation: smooth scroll to anchor targets on click,
+     initial load and back/forward, with header offset and focus
    - Keyboard accessibility (Escape to close)
+   - Registers as the "utils" module with app.js
 
    Dependencies:
+   - scroll-lock.js (window.ScrollLock) for body scroll locking
+   - Optional app.js (window.App) module registry
    - Requires .nav-toggle and .mobile-menu elements for mobile nav
    - Requires .modal and .overlay elements for modals
    - Requires .site-header for scroll offset calculation
@@ -28,6 +34,56 @@
 (function () {
   'use strict';
 
+  /* ---------------------------------------------------------
+     LISTENER TRACKING
+     ---------------------------------------------------------
+     Every listener goes through listen() so destroy() can
+     remove them all again.
+     --------------------------------------------------------- */
+
+  // [target, type, fn, options] for every bound listener
+  var listeners = [];
+
+  // Document-wide handlers bound (they only bind once)
+  var bound = false;
+
+  /**
+   * addEventListener that destroy() can undo
+   * (MediaQueryList without addEventListener uses addListener)
+   *
+   * @param {EventTarget} target - Element, document, window or MediaQueryList
+   * @param {string} type - Event type
+   * @param {Function} fn - Handler
+   * @param {Object} [options] - Listener options
+   */
+  function listen(target, type, fn, options) {
+    if (target.addEventListener) {
+      target.addEventListener(type, fn, options);
+    } else if (target.addListener) {
+      target.addListener(fn);
+    }
+
+    listeners.push([target, type, fn, options]);
+  }
+
+  /**
+   * Remove every listener added through listen()
+   */
+  function unlistenAll() {
+    listeners.forEach(function (entry) {
+      var target = entry[0];
+
+      if (target.removeEventListener) {
+        target.removeEventListener(entry[1], entry[2], entry[3]);
+      } else if (target.removeListener) {
+        target.removeListener(entry[2]);
+      }
+    });
+
+    listeners = [];
+  }
+
+
   /* ---------------------------------------------------------
      MOBILE NAVIGATION
      ---------------------------------------------------------
@@ -35,47 +91,113 @@
 
      Behavior:
      - Clicking toggle button opens/closes menu
-     - Escape key closes menu
+     - Opening moves focus to the first link; Tab cycles
+       through the links and the toggle while open
+     - Escape closes menu and returns focus to the toggle
      - Clicking a link inside menu closes it
+     - Widening past the mobile breakpoint closes it
      - Body scroll is locked when menu is open
      --------------------------------------------------------- */
-  function initMobileNav() {
+
+  // Matches the mobile navigation media query in style.css (23)
+  var MOBILE_NAV_QUERY = '(max-width: 768px)';
+
+  // Initialized menus: { toggle, isOpen(), close(refocus) }
+  var navs = [];
+
+  /**
+   * Lock or release page scrolling for an overlay
+   * Each overlay uses its own key so they can stack
+   *
+   * @param {string} key - Lock owner (e.g. 'nav')
+   * @param {boolean} locked - Take (true) or release (false)
+   */
+  function setScrollLock(key, locked) {
+    if (!window.ScrollLock) return;
+
+    if (locked) {
+      window.ScrollLock.lock(key);
+    } else {
+      window.ScrollLock.unlock(key);
+    }
+  }
+
+  /**
+   * @param {ParentNode} root - Where to look for the toggle and menu
+   */
+  function initMobileNav(root) {
     // Get required elements
-    var toggle = document.querySelector('.nav-toggle');
-    var menu = document.querySelector('.mobile-menu');
+    var toggle = root.querySelector('.nav-toggle');
+    var menu = root.querySelector('.mobile-menu');
 
     // Exit if elements don't exist (not all pages may have mobile nav)
     if (!toggle || !menu) return;
 
+    // Exit if this menu is already set up (init on a wider root)
+    for (var i = 0; i < navs.length; i++) {
+      if (navs[i].toggle === toggle) return;
+    }
+
+    // Tie the toggle to the menu it controls
+    if (!menu.id) menu.id = 'mobile-menu';
+    toggle.setAttribute('aria-controls', menu.id);
+
+    function isOpen() {
+      return menu.classList.contains('is-active');
+    }
+
     /**
-     * Toggle menu visibility on button click
+     * Show the menu and move focus to its first link
      * Updates ARIA attribute for screen readers
-     * Locks body scroll when menu is open
+     * Locks body scroll while open
      */
-    toggle.addEventListener('click', function () {
-      // Check current state
-      var isOpen = menu.classList.contains('is-active');
-
-      // Toggle the active class
-      menu.classList.toggle('is-active');
+    function openMenu() {
+      menu.classList.add('is-active');
+      toggle.setAttribute('aria-expanded', 'true');
+      setScrollLock('nav', true);
 
-      // Update ARIA expanded state for accessibility
-      toggle.setAttribute('aria-expanded', !isOpen);
+      var first = focusableIn(menu)[0];
+      if (first) first.focus();
+    }
 
-      // Prevent body scrolling when menu is open
-      // Empty string removes the property
-      document.body.style.overflow = isOpen ? '' : 'hidden';
+    /**
+     * Hide the menu
+     *
+     * @param {boolean} refocus - Return focus to the toggle
+     */
+    function closeMenu(refocus) {
+      menu.classList.remove('is-active');
+      toggle.setAttribute('aria-expanded', 'false');
+      setScrollLock('nav', false);
+
+      if (refocus) toggle.focus();
+    }
+
+    listen(toggle, 'click', function () {
+      if (isOpen()) {
+        closeMenu(false);
+      } else {
+        openMenu();
+      }
     });
 
     /**
-     * Close menu when Escape key is pressed
-     * Standard accessibility pattern for dismissible overlays
+     * Escape closes the menu (standard pattern for dismissible
+     * overlays); Tab stays within the toggle and the menu
      */
-    document.addEventListener('keydown', function (e) {
-      if (e.key === 'Escape' && menu.classList.contains('is-active')) {
-        menu.classList.remove('is-active');
-        toggle.setAttribute('aria-expanded', 'false');
-        document.body.style.overflow = '';
+    listen(document, 'keydown', function (e) {
+      if (!isOpen()) return;
+
+      if (e.key === 'Escape') {
+        closeMenu(true);
+      } else if (e.key === 'Tab') {
+        // Toggle first, so Shift+Tab from the first link reaches it
+        var focusable = [toggle].concat(focusableIn(menu));
+        var current = focusable.indexOf(document.activeElement);
+        var next = current + (e.shiftKey ? -1 : 1);
+
+        e.preventDefault();
+        focusable[(next + focusable.length) % focusable.length].focus();
       }
     });
 
@@ -83,11 +205,56 @@
      * Close menu when a link inside is clicked
      * Allows navigation to proceed after menu closes
      */
-    menu.addEventListener('click', function (e) {
-      if (e.target.matches('a')) {
-        menu.classList.remove('is-active');
-        toggle.setAttribute('aria-expanded', 'false');
-        document.body.style.overflow = '';
+    listen(menu, 'click', function (e) {
+      if (e.target.closest('a')) closeMenu(false);
+    });
+
+    /**
+     * Close the menu when the viewport grows to desktop width,
+     * where the menu is hidden and its scroll lock would stick
+     */
+    listen(window.matchMedia(MOBILE_NAV_QUERY), 'change', function (e) {
+      if (!e.matches && isOpen()) closeMenu(false);
+    });
+
+    navs.push({ toggle: toggle, isOpen: isOpen, close: closeMenu });
+  }
+
+
+  /* ---------------------------------------------------------
+     CURRENT PAGE
+     ---------------------------------------------------------
+     Marks navigation links to the current page with
+     aria-current="page", the only current-page marker
+     (style.css highlights the link by it).
+     /index.html and / count as the same page.
+     --------------------------------------------------------- */
+
+  /**
+   * Normalize a path for comparison
+   *
+   * @param {string} path - URL pathname
+   * @returns {string}
+   */
+  function normalizePath(path) {
+    return path.replace(/\/index\.html?$/, '/') || '/';
+  }
+
+  /**
+   * @param {ParentNode} root - Where to look for navigation links
+   */
+  function markCurrentPage(root) {
+    var current = normalizePath(window.location.pathname);
+    var links = root.querySelectorAll('.nav .nav-link[href], .mobile-menu .nav-link[href]');
+
+    Array.prototype.forEach.call(links, function (link) {
+      // Skip placeholders and links to other sites
+      var isPage = link.getAttribute('href') !== '#' && link.origin === window.location.origin;
+
+      if (isPage && normalizePath(link.pathname) === current) {
+        link.setAttribute('aria-current', 'page');
+      } else {
+        link.removeAttribute('aria-current');
       }
     });
   }
@@ -96,104 +263,516 @@
   /* ---------------------------------------------------------
      MODAL HANDLING
      ---------------------------------------------------------
-     Generic modal dialog system using data attributes.
+     Stack-based modal manager using data attributes or the
+     window.Modals API.
 
      Usage:
      - Add data-modal-open="modalId" to trigger buttons
      - Add data-modal-close to close buttons
-     - Clicking overlay also closes modal
+     - Clicking overlay closes the topmost modal
+     - Modals.open('myModal'), Modals.close('myModal'),
+       Modals.closeTop(), Modals.closeAll()
+
+     Behavior:
+     - Modals stack: a modal can open another, Escape and the
+       overlay only close the topmost one
+     - Opening moves focus into the dialog ([autofocus] first),
+       Tab is trapped inside it, closing returns focus to the
+       element that opened it
+     - Everything outside the top modal is inert
+     - Each modal gets role="dialog" and aria-modal="true",
+       labelled by its first heading unless it has a label
+     - modal:open and modal:close bubble from the modal element
+       (detail: { id, trigger })
 
      Example HTML:
      <button data-modal-open="myModal">Open</button>
      <div class="modal" id="myModal">
+       <div class="modal-header"><h2>Title</h2></div>
        <button data-modal-close>Close</button>
      </div>
      <div class="overlay"></div>
      --------------------------------------------------------- */
+
+  // Elements that can take keyboard focus
+  var FOCUSABLE = [
+    'a[href]',
+    'area[href]',
+    'button:not([disabled])',
+    'input:not([disabled]):not([type="hidden"])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    'iframe',
+    '[contenteditable]',
+    '[tabindex]:not([tabindex="-1"])'
+  ].join(',');
+
+  // Stacking order: each open modal sits above the previous one,
+  // with the overlay just beneath the topmost (see style.css 21-22)
+  var MODAL_Z_INDEX = 1001;
+
+  // Open modals, bottom to top: { modal, trigger }
+  var modalStack = [];
+
+  // Elements made inert for the current top modal
+  var inertElements = [];
+
+  // Counter for generated heading ids (aria-labelledby targets)
+  var modalUid = 0;
+
   function initModals() {
     /**
      * Handle all modal-related clicks via event delegation
      * More efficient than attaching listeners to each button
      */
-    document.addEventListener('click', function (e) {
+    listen(document, 'click', function (e) {
       // Check if click was on a modal open trigger
       var trigger = e.target.closest('[data-modal-open]');
 
       if (trigger) {
-        // Get the modal ID from data attribute
-        var modalId = trigger.getAttribute('data-modal-open');
-        var modal = document.getElementById(modalId);
-        var overlay = document.querySelector('.overlay');
-
-        if (modal) {
-          // Show modal and overlay
-          modal.classList.add('is-active');
-          if (overlay) overlay.classList.add('is-active');
-
-          // Lock body scroll
-          document.body.style.overflow = 'hidden';
-        }
+        openModal(trigger.getAttribute('data-modal-open'), trigger);
         return;
       }
 
-      // Check if click was on a modal close trigger
+      // Close buttons close their own modal (or the top one)
       var closer = e.target.closest('[data-modal-close]');
 
-      // Also close if clicking directly on overlay
-      if (closer || e.target.matches('.overlay')) {
-        closeAllModals();
+      if (closer) {
+        var modal = closer.closest('.modal');
+
+        if (modal && modal.id) {
+          closeModal(modal.id);
+        } else {
+          closeTopModal();
+        }
+        return;
       }
+
+      // Clicking the overlay dismisses the topmost modal only
+      if (e.target.matches('.overlay')) closeTopModal();
     });
 
     /**
-     * Close modals on Escape key
-     * Standard accessibility pattern
+     * Escape closes the topmost modal; Tab stays inside it
      */
-    document.addEventListener('keydown', function (e) {
+    listen(document, 'keydown', function (e) {
+      if (!modalStack.length) return;
+
       if (e.key === 'Escape') {
-        closeAllModals();
+        e.preventDefault();
+        closeTopModal();
+      } else if (e.key === 'Tab') {
+        trapFocus(e);
       }
     });
+
+    /**
+     * Pull focus back if it escapes the top modal anyway
+     * (e.g. browsers without inert support)
+     */
+    listen(document, 'focusin', function (e) {
+      var top = topModal();
+
+      if (top && !top.modal.contains(e.target)) {
+        focusFirst(top.modal);
+      }
+    });
+  }
+
+  /**
+   * Get the topmost open modal entry
+   *
+   * @returns {Object|null} { modal, trigger }
+   */
+  function topModal() {
+    return modalStack[modalStack.length - 1] || null;
   }
 
   /**
-   * Close all open modals and overlay
-   * Resets body scroll lock
+   * Find an open modal's position in the stack
+   *
+   * @param {Element} modal - The .modal element
+   * @returns {number} Index, or -1 if not open
+   */
+  function stackIndex(modal) {
+    for (var i = 0; i < modalStack.length; i++) {
+      if (modalStack[i].modal === modal) return i;
+    }
+    return -1;
+  }
+
+  /**
+   * Open a modal on top of any already open
+   *
+   * @param {string} id - The modal's id
+   * @param {Element} [trigger] - Element to refocus on close
+   *   (defaults to the currently focused element)
+   * @returns {boolean} Whether the modal was opened
+   */
+  function openModal(id, trigger) {
+    var modal = document.getElementById(id);
+
+    if (!modal || stackIndex(modal) !== -1) return false;
+
+    setupDialog(modal);
+
+    modalStack.push({
+      modal: modal,
+      trigger: trigger || document.activeElement
+    });
+
+    modal.classList.add('is-active');
+    updateModalLayers();
+
+    // Lock body scroll (one key per modal, so they stack)
+    setScrollLock('modal:' + id, true);
+
+    focusFirst(modal);
+    emitModal(modal, 'modal:open', topModal().trigger);
+
+    return true;
+  }
+
+  /**
+   * Close an open modal
+   * Focus returns to its trigger when it was the top modal
+   *
+   * @param {string} id - The modal's id
+   * @returns {boolean} Whether the modal was closed
+   */
+  function closeModal(id) {
+    var modal = document.getElementById(id);
+    var index = modal ? stackIndex(modal) : -1;
+
+    if (index === -1) return false;
+
+    var entry = modalStack.splice(index, 1)[0];
+    var wasTop = index === modalStack.length;
+
+    modal.classList.remove('is-active');
+    modal.style.zIndex = '';
+    updateModalLayers();
+
+    // Release this modal's hold on the scroll lock
+    setScrollLock('modal:' + id, false);
+
+    if (wasTop) returnFocus(entry.trigger);
+    emitModal(modal, 'modal:close', entry.trigger);
+
+    return true;
+  }
+
+  /**
+   * Close the topmost modal
+   *
+   * @returns {boolean} Whether a modal was closed
+   */
+  function closeTopModal() {
+    var top = topModal();
+    return top ? closeModal(top.modal.id) : false;
+  }
+
+  /**
+   * Close all open modals, top first
    */
   function closeAllModals() {
-    // Find all active modals
-    var modals = document.querySelectorAll('.modal.is-active');
-    var overlay = document.querySelector('.overlay.is-active');
+    while (closeTopModal()) {
+      // closeTopModal() shrinks the stack
+    }
+  }
+
+  /**
+   * Add dialog semantics the markup doesn't already have
+   *
+   * @param {Element} modal - The .modal element
+   */
+  function setupDialog(modal) {
+    if (!modal.hasAttribute('role')) modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-modal', 'true');
+
+    // Focusable as a last resort when it has no controls
+    if (!modal.hasAttribute('tabindex')) modal.setAttribute('tabindex', '-1');
 
-    // Remove active class from each modal
-    modals.forEach(function (modal) {
-      modal.classList.remove('is-active');
+    if (modal.hasAttribute('aria-label') || modal.hasAttribute('aria-labelledby')) return;
+
+    var heading = modal.querySelector('h1, h2, h3, h4, h5, h6');
+
+    if (heading) {
+      if (!heading.id) heading.id = 'modal-title-' + (++modalUid);
+      modal.setAttribute('aria-labelledby', heading.id);
+    }
+  }
+
+  /**
+   * Stack the open modals and the overlay, and make everything
+   * outside the top modal inert
+   */
+  function updateModalLayers() {
+    var overlay = document.querySelector('.overlay');
+    var top = topModal();
+
+    modalStack.forEach(function (entry, i) {
+      entry.modal.style.zIndex = MODAL_Z_INDEX + i * 2;
     });
 
-    // Hide overlay
-    if (overlay) overlay.classList.remove('is-active');
+    if (overlay) {
+      overlay.classList.toggle('is-active', !!top);
+      overlay.style.zIndex = top ? MODAL_Z_INDEX + (modalStack.length - 1) * 2 - 1 : '';
+    }
 
-    // Restore body scroll
-    document.body.style.overflow = '';
+    // Release the previous background before marking the new one
+    inertElements.forEach(function (el) {
+      el.removeAttribute('inert');
+    });
+    inertElements = [];
+
+    if (!top) return;
+
+    // Walk up from the modal, marking every sibling along the way
+    // The overlay stays live so clicking it still dismisses
+    for (var node = top.modal; node && node !== document.body; node = node.parentElement) {
+      var parent = node.parentElement;
+      if (!parent) break;
+
+      Array.prototype.forEach.call(parent.children, function (sibling) {
+        if (sibling === node || sibling === overlay || sibling.hasAttribute('inert')) return;
+        if (sibling.matches('script, style, link')) return;
+
+        sibling.setAttribute('inert', '');
+        inertElements.push(sibling);
+      });
+    }
   }
 
+  /**
+   * Get the visible focusable elements inside a container
+   *
+   * @param {Element} container - Element to search
+   * @returns {Element[]}
+   */
+  function focusableIn(container) {
+    return Array.prototype.filter.call(container.querySelectorAll(FOCUSABLE), function (el) {
+      return !el.closest('[inert]') && (el.offsetWidth || el.offsetHeight || el.getClientRects().length);
+    });
+  }
+
+  /**
+   * Focus a modal's [autofocus] or first control, or the modal
+   *
+   * @param {Element} modal - The .modal element
+   */
+  function focusFirst(modal) {
+    var target = modal.querySelector('[autofocus]') || focusableIn(modal)[0] || modal;
+    target.focus();
+  }
+
+  /**
+   * Keep Tab and Shift+Tab cycling inside the top modal
+   *
+   * @param {KeyboardEvent} e - The keydown event
+   */
+  function trapFocus(e) {
+    var modal = topModal().modal;
+    var focusable = focusableIn(modal);
+
+    if (!focusable.length) {
+      e.preventDefault();
+      modal.focus();
+      return;
+    }
+
+    var first = focusable[0];
+    var last = focusable[focusable.length - 1];
+    var active = document.activeElement;
+
+    if (e.shiftKey && (active === first || active === modal)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && active === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  /**
+   * Return focus to the element that opened a modal
+   * Falls back to the modal below it if the trigger is gone
+   *
+   * @param {Element} trigger - Element focused before opening
+   */
+  function returnFocus(trigger) {
+    if (trigger && trigger.focus && document.contains(trigger) && !trigger.closest('[inert]')) {
+      trigger.focus();
+    } else if (topModal()) {
+      focusFirst(topModal().modal);
+    }
+  }
+
+  /**
+   * Dispatch a bubbling modal event
+   *
+   * @param {Element} modal - The .modal element
+   * @param {string} name - Event name
+   * @param {Element} trigger - Element that opened the modal
+   */
+  function emitModal(modal, name, trigger) {
+    var detail = { id: modal.id, trigger: trigger || null };
+
+    modal.dispatchEvent(new CustomEvent(name, {
+      bubbles: true,
+      detail: detail
+    }));
+
+    // Mirror on the site-wide bus (app.js)
+    if (window.App) window.App.emit(name, detail);
+  }
+
+  // Public API for scripts that open dialogs themselves
+  window.Modals = {
+    open: openModal,
+    close: closeModal,
+    closeTop: closeTopModal,
+    closeAll: closeAllModals,
+    isOpen: function (id) {
+      var modal = document.getElementById(id);
+      return !!modal && stackIndex(modal) !== -1;
+    }
+  };
+
 
   /* ---------------------------------------------------------
-     SMOOTH SCROLL FOR ANCHOR LINKS
+     HASH NAVIGATION (SMOOTH SCROLL FOR ANCHOR LINKS)
      ---------------------------------------------------------
-     Provides smooth scrolling behavior for same-page anchor
-     links (e.g., href="#section").
+     Scrolls to same-page anchor targets (e.g., href="#section")
+     on click, when the page loads with a hash, and on
+     back/forward between hashes.
 
      Features:
-     - Accounts for sticky header height
-     - Updates URL without triggering scroll
-     - Uses native smooth scroll behavior
+     - Accounts for sticky header height, plus any other
+       sticky bar marked data-sticky-header (e.g. toc.js)
+     - Extra per-target space: data-scroll-offset="24" on the
+       target (px, may be negative)
+     - Moves keyboard focus to the target
+     - Smooth scrolling unless the user prefers reduced motion
+     - Updates URL without triggering the default jump, and
+       remembers where each history entry was scrolled to
+     - page-transition.js leaves same-page popstates to this
      --------------------------------------------------------- */
+
+  // Checked on every scroll so a changed preference applies at once
+  var reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+  /**
+   * Total height of the bars that will cover the top of the
+   * page once a target is scrolled into place
+   * Only sticky/fixed bars count. A fixed bar counts if it
+   * sits at the top (directly or under the bars counted so
+   * far); a sticky one only if the target comes after it,
+   * since above its place in the page it doesn't stick
+   * (e.g. the toc.js bar for anchors above it).
+   *
+   * @param {Element} [target] - Element being scrolled to
+   * @returns {number} Height in px
+   */
+  function stickyHeaderHeight(target) {
+    var bars = document.querySelectorAll('.site-header, [data-sticky-header]');
+
+    return Array.prototype.reduce.call(bars, function (total, bar) {
+      var position = getComputedStyle(bar).position;
+      var covers = false;
+
+      if (position === 'fixed') {
+        covers = bar.getBoundingClientRect().top <= total + 1;
+      } else if (position === 'sticky') {
+        covers = !target || bar === target ||
+          !!(bar.compareDocumentPosition(target) & Node.DOCUMENT_POSITION_FOLLOWING);
+      }
+
+      return covers ? total + bar.offsetHeight : total;
+    }, 0);
+  }
+
+  /**
+   * Find the element a hash points at
+   *
+   * @param {string} hash - "#id" (percent-encoded is fine)
+   * @returns {Element|null}
+   */
+  function hashTarget(hash) {
+    if (!hash || hash === '#') return null;
+
+    var id;
+
+    try {
+      id = decodeURIComponent(hash.slice(1));
+    } catch (err) {
+      id = hash.slice(1);
+    }
+
+    return document.getElementById(id);
+  }
+
+  /**
+   * Scroll a target below the sticky header
+   *
+   * @param {Element} target - Element to scroll to
+   * @param {boolean} animate - Smooth scroll (ignored with reduced motion)
+   */
+  function scrollToTarget(target, animate) {
+    var extra = parseFloat(target.getAttribute('data-scroll-offset')) || 0;
+
+    // Get target's position relative to document top
+    var targetPosition = target.getBoundingClientRect().top + window.scrollY - stickyHeaderHeight(target) - extra;
+
+    window.scrollTo({
+      top: Math.max(0, targetPosition),
+      behavior: animate && !reducedMotionQuery.matches ? 'smooth' : 'auto'
+    });
+  }
+
+  /**
+   * Move keyboard focus to a target without scrolling again
+   * Non-focusable targets get tabindex="-1" so they can
+   * take focus (the next Tab continues from there)
+   *
+   * @param {Element} target - Element to focus
+   */
+  function focusTarget(target) {
+    if (!target.matches(FOCUSABLE) && !target.hasAttribute('tabindex')) {
+      target.setAttribute('tabindex', '-1');
+    }
+
+    target.focus({ preventScroll: true });
+  }
+
+  /**
+   * Record the scroll position on the current history entry,
+   * so back/forward to an entry without a hash can restore it
+   */
+  function saveScrollState() {
+    var state = {};
+    var current = history.state;
+
+    if (current && typeof current === 'object') {
+      Object.keys(current).forEach(function (key) {
+        state[key] = current[key];
+      });
+    }
+
+    state.scrollY = window.scrollY;
+    history.replaceState(state, '');
+  }
+
   function initSmoothScroll() {
+    // We place the page ourselves on back/forward and reload
+    // (positions live in history.state, see saveScrollState)
+    if ('scrollRestoration' in history) history.scrollRestoration = 'manual';
+    listen(window, 'pagehide', saveScrollState);
+
     /**
      * Handle clicks on anchor links via event delegation
      */
-    document.addEventListener('click', function (e) {
+    listen(document, 'click', function (e) {
       // Find anchor link with hash href
       var link = e.target.closest('a[href^="#"]');
 
@@ -203,54 +782,152 @@
       // Get the target ID
       var targetId = link.getAttribute('href');
 
-      // Exit if href is just "#" (often used as placeholder)
-      if (targetId === '#') return;
-
       // Find the target element
-      var target = document.querySelector(targetId);
-
-      // Exit if target doesn't exist
+      // Exit if href is just "#" (often used as placeholder) or missing
+      var target = hashTarget(targetId);
       if (!target) return;
 
       // Prevent default jump behavior
       e.preventDefault();
 
-      // Calculate scroll position accounting for sticky header
-      // Optional chaining fallback for browsers without header
-      var headerHeight = document.querySelector('.site-header')?.offsetHeight || 0;
-
-      // Get target's position relative to document top
-      var targetPosition = target.getBoundingClientRect().top + window.scrollY - headerHeight;
-
-      // Perform smooth scroll
-      window.scrollTo({
-        top: targetPosition,
-        behavior: 'smooth'
-      });
+      scrollToTarget(target, true);
+      focusTarget(target);
 
       // Update URL hash without triggering scroll
       // Uses pushState to avoid the default hash jump
-      history.pushState(null, '', targetId);
+      if (window.location.hash !== targetId) {
+        saveScrollState();
+        history.pushState({ hash: targetId }, '', targetId);
+      }
     });
+
+    /**
+     * Back/forward between entries of this page
+     * A hash entry scrolls to its target; an entry without
+     * one returns to where it was scrolled
+     */
+    listen(window, 'popstate', function (e) {
+      var target = hashTarget(window.location.hash);
+
+      if (target) {
+        scrollToTarget(target, true);
+        focusTarget(target);
+      } else if (e.state && typeof e.state.scrollY === 'number') {
+        window.scrollTo({
+          top: e.state.scrollY,
+          behavior: reducedMotionQuery.matches ? 'auto' : 'smooth'
+        });
+      }
+    });
+
+    /**
+     * Page loaded with a hash: the browser's jump ignores the
+     * sticky header, so redo it with the offset, and again
+     * once images have loaded and moved things around
+     */
+    var initial = hashTarget(window.location.hash);
+
+    if (initial) {
+      scrollToTarget(initial, false);
+      focusTarget(initial);
+    }
+
+    if (window.location.hash) {
+      listen(window, 'load', function () {
+        // Targets may also be added by other scripts (e.g. toc.js ids)
+        var target = hashTarget(window.location.hash);
+        if (!target) return;
+
+        scrollToTarget(target, false);
+        if (!initial) focusTarget(target);
+      });
+    } else if (history.state && typeof history.state.scrollY === 'number') {
+      // Reload or return without a hash: back to the saved spot
+      // right away, and again once images have loaded and moved
+      // things around (unless the visitor has scrolled since)
+      var savedY = history.state.scrollY;
+
+      window.scrollTo(0, savedY);
+      var placedY = window.scrollY;
+
+      listen(window, 'load', function () {
+        if (Math.abs(window.scrollY - placedY) < 2) window.scrollTo(0, savedY);
+      });
+    }
   }
 
 
   /* ---------------------------------------------------------
      INITIALIZATION
      ---------------------------------------------------------
-     Initialize all utility functions when DOM is ready.
+     Registers as the "utils" module with app.js, which
+     initializes it when DOM is ready. init(root) sets up the
+     navigation found in root; the document-wide handlers
+     (modals, hash navigation) bind once. Without app.js,
+     initializes itself on DOM ready.
      --------------------------------------------------------- */
-  function init() {
-    initMobileNav();
+  function init(root) {
+    root = root || document;
+
+    initMobileNav(root);
+    markCurrentPage(root);
+
+    if (bound) return;
+    bound = true;
+
     initModals();
     initSmoothScroll();
   }
 
-  // Wait for DOM if still loading, otherwise init immediately
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', init);
+  /**
+   * Close anything open and remove every listener
+   */
+  function destroy() {
+    closeAllModals();
+
+    navs.forEach(function (nav) {
+      if (nav.isOpen()) nav.close(false);
+    });
+    navs = [];
+
+    unlistenAll();
+    bound = false;
+  }
+
+  var utilsModule = {
+    init: init,
+    destroy: destroy,
+    markCurrentPage: markCurrentPage,
+
+    // Also run by page-transition.js before it pushes a swapped page
+    saveScrollState: saveScrollState,
+
+    /**
+     * Jump to a hash target below the sticky header and focus it
+     * (used by page-transition.js after swapping in a page)
+     *
+     * @param {string} hash - "#id"
+     * @returns {boolean} Whether the target exists
+     */
+    scrollToHash: function (hash) {
+      var target = hashTarget(hash);
+      if (!target) return false;
+
+      scrollToTarget(target, false);
+      focusTarget(target);
+      return true;
+    }
+  };
+
+  if (window.App) {
+    window.App.register('utils', utilsModule);
+  } else if (document.readyState === 'loading') {
+    // Wait for DOM if still loading, otherwise init immediately
+    document.addEventListener('DOMContentLoaded', function () {
+      init(document);
+    });
   } else {
-    init();
+    init(document);
   }
 
 })();